@@ -4,19 +4,29 @@ import Navbar from './components/layout/Navbar';
 import Landing from './components/layout/Landing';
 import Register from './components/auth/Register';
 import Login from './components/auth/Login';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
+import GithubCallback from './components/auth/GithubCallback';
 import Alert from './components/layout/Alert';
 import Dashboard from './components/dashboard/Dashboard'
 import PrivateRoute from './components/routing/PrivateRoute';
+import RoleRoute from './components/routing/RoleRoute';
 // Form components
 import CreateProfile from './components/profile-forms/CreateProfile';
 import EditProfile from './components/profile-forms/EditProfile';
 import AddExperience from './components/profile-forms/AddExperience';
 import AddEducation from './components/profile-forms/AddEducation';
+import ImportProfile from './components/profile-forms/ImportProfile';
 // Misc
 import Profiles from './components/profiles/Profiles';
 import Profile from './components/profile/Profile';
 import Posts from './components/posts/Posts';
 import Post from './components/post/Post';
+import Inbox from './components/messages/Inbox';
+import Thread from './components/messages/Thread';
+import AdminDashboard from './components/admin/AdminDashboard';
+import ReportQueue from './components/reports/ReportQueue';
 // Redux
 import { Provider } from 'react-redux';
 import store from './store';
@@ -24,11 +34,14 @@ import { loadUser } from './actions/auth';
 
 import './App.css';
 import setAuthToken from "./utils/setAuthToken";
+import setupRefreshToken from "./utils/refreshToken";
 
 if(localStorage.token) {
     setAuthToken(localStorage.token)
 }
 
+setupRefreshToken(store);
+
 const App = () => {
     useEffect(() => {
         store.dispatch(loadUser());
@@ -45,6 +58,10 @@ const App = () => {
             <Switch>
               <Route exact path='/register' component={Register} />
               <Route exact path='/login' component={Login} />
+              <Route exact path='/forgot-password' component={ForgotPassword} />
+              <Route exact path='/reset-password/:token' component={ResetPassword} />
+              <Route exact path='/verify-email/:token' component={VerifyEmail} />
+              <Route exact path='/auth/github/callback' component={GithubCallback} />
               <Route exact path='/profiles' component={Profiles} />
               <Route exact path='/profile/:id' component={Profile} />
 
@@ -54,9 +71,18 @@ const App = () => {
               <PrivateRoute exact path='/create-profile' component={CreateProfile} />
               <PrivateRoute exact path='/add-experience' component={AddExperience} />
               <PrivateRoute exact path='/add-education' component={AddEducation} />
+              <PrivateRoute exact path='/edit-experience/:id' component={AddExperience} />
+              <PrivateRoute exact path='/edit-education/:id' component={AddEducation} />
+              <PrivateRoute exact path='/import-profile' component={ImportProfile} />
 
               <PrivateRoute exact path='/posts' component={Posts} />
               <PrivateRoute exact path='/posts/:id' component={Post} />
+
+              <PrivateRoute exact path='/messages' component={Inbox} />
+              <PrivateRoute exact path='/messages/:id' component={Thread} />
+
+              <RoleRoute exact path='/admin' role='admin' component={AdminDashboard} />
+              <RoleRoute exact path='/reports' role='moderator' component={ReportQueue} />
             </Switch>
           </section>
         </Fragment>
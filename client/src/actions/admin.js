@@ -0,0 +1,57 @@
+import axios from 'axios';
+import { setAlert } from './alert';
+import {
+    GET_ADMIN_USERS,
+    UPDATE_ADMIN_USER,
+    ADMIN_ERROR
+} from './types';
+
+// Get users matching a name or email search
+export const getAdminUsers = (filters = {}) => async dispatch => {
+    try {
+        const res = await axios.get('/api/admin/users', { params: filters });
+
+        dispatch({
+            type: GET_ADMIN_USERS,
+            payload: res.data
+        });
+    } catch (err) {
+        dispatch({
+            type: ADMIN_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        });
+    }
+};
+
+const updateUser = (userId, path, body, msg) => async dispatch => {
+    try {
+        const res = await axios.put(`/api/admin/users/${userId}/${path}`, body);
+
+        dispatch({
+            type: UPDATE_ADMIN_USER,
+            payload: res.data
+        });
+
+        dispatch(setAlert(msg, 'success'));
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+
+        dispatch({
+            type: ADMIN_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        });
+    }
+};
+
+// Suspend user
+export const suspendUser = userId => updateUser(userId, 'suspend', {}, 'User suspended');
+
+// Lift suspension
+export const unsuspendUser = userId => updateUser(userId, 'unsuspend', {}, 'User unsuspended');
+
+// Change role of user
+export const setUserRole = (userId, role) => updateUser(userId, 'role', { role }, 'Role updated');
@@ -8,9 +8,13 @@ import {
     LOGIN_SUCCESS,
     LOGIN_FAIL,
     LOGOUT,
+    EMAIL_VERIFIED,
+    TWO_FACTOR_REQUIRED,
+    TWO_FACTOR_UPDATED,
     CLEAR_PROFILE
 } from "./types";
 import setAuthToken from '../utils/setAuthToken';
+import { connectSocket, disconnectSocket } from './socket';
 
 // Load User
 export const loadUser = () => async dispatch => {
@@ -24,7 +28,9 @@ export const loadUser = () => async dispatch => {
         dispatch({
             type: USER_LOADED,
             payload: res.data
-        })
+        });
+
+        dispatch(connectSocket());
     } catch (err) {
         dispatch({
             type: AUTH_ERROR
@@ -77,6 +83,61 @@ export const login = (email, password) => async dispatch => {
     try {
         const res = await axios.post('/api/auth', body, config);
 
+        // Password was right, a code is needed next
+        if(res.data.twoFactorRequired) {
+            return dispatch({
+                type: TWO_FACTOR_REQUIRED,
+                payload: res.data.interimToken
+            });
+        }
+
+        dispatch({
+            type: LOGIN_SUCCESS,
+            payload: res.data
+        });
+
+        dispatch(loadUser());
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+
+        dispatch({
+            type: LOGIN_FAIL
+        })
+    }
+};
+
+// Send the browser to GitHub, which comes back to /auth/github/callback
+export const startGithubLogin = () => async dispatch => {
+    try {
+        const res = await axios.get('/api/auth/github');
+
+        window.location.assign(res.data.url);
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+    }
+};
+
+// Finish signing in with the code GitHub sent back
+export const githubLogin = (code, state) => async dispatch => {
+    try {
+        const res = await axios.post('/api/auth/github/callback', { code, state });
+
+        // GitHub stands in for the password, a code is needed next
+        if(res.data.twoFactorRequired) {
+            return dispatch({
+                type: TWO_FACTOR_REQUIRED,
+                payload: res.data.interimToken
+            });
+        }
+
         dispatch({
             type: LOGIN_SUCCESS,
             payload: res.data
@@ -96,8 +157,170 @@ export const login = (email, password) => async dispatch => {
     }
 };
 
+// Authenticator apps show six digits, anything else is taken as a recovery code
+const secondFactor = code => /^\s*\d{3}\s*\d{3}\s*$/.test(code) ? { code } : { recoveryCode: code.trim() };
+
+// Finish login with an authenticator code or a recovery code
+export const verifyTwoFactor = code => async (dispatch, getState) => {
+    try {
+        const res = await axios.post('/api/auth/2fa/verify', { ...secondFactor(code), interimToken: getState().auth.twoFactorToken });
+
+        dispatch({
+            type: LOGIN_SUCCESS,
+            payload: res.data
+        });
+
+        dispatch(loadUser());
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+
+        // Interim token expired, start over with the password
+        if(err.response.status === 401) {
+            dispatch({
+                type: LOGIN_FAIL
+            });
+        }
+    }
+};
+
 // Logout / Clear Profile
 export const logout = () => dispatch => {
+    // Revoke this session's refresh token, the access token expires by itself
+    if(localStorage.refreshToken) {
+        axios.post('/api/auth/logout', { refreshToken: localStorage.refreshToken }).catch(() => {});
+    }
+
+    dispatch(disconnectSocket());
     dispatch({ type: CLEAR_PROFILE });
     dispatch({ type: LOGOUT });
 };
+
+// Logout of all devices
+export const logoutAll = () => async dispatch => {
+    try {
+        await axios.post('/api/auth/logout-all');
+
+        dispatch(logout());
+        dispatch(setAlert('Logged out of all devices', 'success'));
+    } catch (err) {
+        dispatch(setAlert('Could not log out of all devices', 'danger'));
+    }
+};
+
+// Request password reset mail
+export const forgotPassword = email => async dispatch => {
+    try {
+        const res = await axios.post('/api/auth/forgot', { email });
+
+        dispatch(setAlert(res.data.msg, 'success'));
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+    }
+};
+
+// Set new password with mailed token
+export const resetPassword = (token, password, history) => async dispatch => {
+    try {
+        const res = await axios.post('/api/auth/reset', { token, password });
+
+        dispatch(setAlert(`${res.data.msg}, please sign in`, 'success'));
+        history.push('/login');
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+    }
+};
+
+// Verify email with mailed token, resolves to whether it worked
+export const verifyEmail = token => async dispatch => {
+    try {
+        const res = await axios.get(`/api/users/verify/${token}`);
+
+        dispatch({ type: EMAIL_VERIFIED });
+        dispatch(setAlert(res.data.msg, 'success'));
+        return true;
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+        return false;
+    }
+};
+
+// Resend verification mail
+export const resendVerification = () => async dispatch => {
+    try {
+        const res = await axios.post('/api/users/verify');
+
+        dispatch(setAlert(res.data.msg, 'success'));
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+    }
+};
+
+// Start two-factor setup, resolves to the new secret and its QR code
+export const setupTwoFactor = () => async dispatch => {
+    try {
+        const res = await axios.post('/api/auth/2fa/setup');
+
+        return res.data;
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+        return null;
+    }
+};
+
+// Enable two-factor auth, resolves to the recovery codes
+export const enableTwoFactor = code => async dispatch => {
+    try {
+        const res = await axios.post('/api/auth/2fa/enable', { code });
+
+        dispatch({ type: TWO_FACTOR_UPDATED, payload: true });
+        dispatch(setAlert('Two-factor authentication enabled', 'success'));
+        return res.data.recoveryCodes;
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+        return null;
+    }
+};
+
+// Disable two-factor auth
+export const disableTwoFactor = ({ password, code }) => async dispatch => {
+    try {
+        const res = await axios.post('/api/auth/2fa/disable', { password, ...secondFactor(code) });
+
+        dispatch({ type: TWO_FACTOR_UPDATED, payload: false });
+        dispatch(setAlert(res.data.msg, 'success'));
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+    }
+};
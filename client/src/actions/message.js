@@ -0,0 +1,89 @@
+import axios from 'axios';
+import {setAlert} from "./alert";
+import {
+    GET_CONVERSATIONS,
+    GET_THREAD,
+    SEND_MESSAGE,
+    MESSAGES_READ,
+    MESSAGE_ERROR
+} from "./types";
+
+// Get conversations
+export const getConversations = () => async dispatch => {
+    try {
+        const res = await axios.get('/api/messages');
+
+        dispatch({
+            type: GET_CONVERSATIONS,
+            payload: res.data
+        })
+    } catch (err) {
+        dispatch({
+            type: MESSAGE_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Get messages with a user
+export const getThread = userId => async dispatch => {
+    try {
+        const res = await axios.get(`/api/messages/${userId}`);
+
+        dispatch({
+            type: GET_THREAD,
+            payload: res.data
+        })
+    } catch (err) {
+        dispatch({
+            type: MESSAGE_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Send message
+export const sendMessage = (userId, formData) => async dispatch => {
+    const config = {
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    };
+
+    try {
+        const res = await axios.post(`/api/messages/${userId}`, formData, config);
+
+        dispatch({
+            type: SEND_MESSAGE,
+            payload: res.data
+        });
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+
+        dispatch({
+            type: MESSAGE_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Mark messages from a user as read
+export const markRead = userId => async dispatch => {
+    try {
+        await axios.put(`/api/messages/${userId}/read`);
+
+        dispatch({
+            type: MESSAGES_READ,
+            payload: userId
+        })
+    } catch (err) {
+        dispatch({
+            type: MESSAGE_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
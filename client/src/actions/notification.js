@@ -0,0 +1,57 @@
+import axios from 'axios';
+import {
+    GET_NOTIFICATIONS,
+    NOTIFICATION_READ,
+    NOTIFICATIONS_READ,
+    NOTIFICATION_ERROR
+} from "./types";
+
+// Get notifications
+export const getNotifications = () => async dispatch => {
+    try {
+        const res = await axios.get('/api/notifications');
+
+        dispatch({
+            type: GET_NOTIFICATIONS,
+            payload: res.data
+        })
+    } catch (err) {
+        dispatch({
+            type: NOTIFICATION_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Mark notification as read
+export const markNotificationRead = id => async dispatch => {
+    try {
+        const res = await axios.put(`/api/notifications/${id}/read`);
+
+        dispatch({
+            type: NOTIFICATION_READ,
+            payload: res.data
+        })
+    } catch (err) {
+        dispatch({
+            type: NOTIFICATION_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Mark all notifications as read
+export const markAllNotificationsRead = () => async dispatch => {
+    try {
+        await axios.put('/api/notifications/read');
+
+        dispatch({
+            type: NOTIFICATIONS_READ
+        })
+    } catch (err) {
+        dispatch({
+            type: NOTIFICATION_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
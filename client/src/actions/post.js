@@ -4,20 +4,55 @@ import {
     ADD_POST,
     DELETE_POST,
     GET_POSTS,
+    GET_MORE_POSTS,
+    POSTS_LOADING_MORE,
+    SEARCH_POSTS,
+    CLEAR_SEARCH,
     GET_POST,
+    UPDATE_POST,
     POST_ERROR,
     UPDATE_LIKES,
     ADD_COMMENT,
+    UPDATE_COMMENT,
     REMOVE_COMMENT
 } from "./types";
 
-// Get posts
-export const getPosts = () => async dispatch => {
+const FEED_URLS = {
+    everyone: '/api/posts',
+    following: '/api/posts/feed',
+    mine: '/api/posts/mine'
+};
+
+const feedUrl = feed => FEED_URLS[feed] || FEED_URLS.everyone;
+
+// Get first page of posts, from everyone, followed users or only my own
+export const getPosts = feed => async (dispatch, getState) => {
+    if(!feed) feed = getState().post.feed;
+
     try {
-        const res = await axios.get('/api/posts');
+        const res = await axios.get(feedUrl(feed));
 
         dispatch({
             type: GET_POSTS,
+            payload: { ...res.data, feed }
+        })
+    } catch (err) {
+        dispatch({
+            type: POST_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Get the page of posts after cursor
+export const getMorePosts = cursor => async (dispatch, getState) => {
+    dispatch({ type: POSTS_LOADING_MORE });
+
+    try {
+        const res = await axios.get(feedUrl(getState().post.feed), { params: { cursor } });
+
+        dispatch({
+            type: GET_MORE_POSTS,
             payload: res.data
         })
     } catch (err) {
@@ -28,6 +63,34 @@ export const getPosts = () => async dispatch => {
     }
 };
 
+// Search posts and comments
+export const searchPosts = q => async dispatch => {
+    try {
+        const res = await axios.get('/api/posts/search', { params: { q } });
+
+        dispatch({
+            type: SEARCH_POSTS,
+            payload: { query: q, results: res.data }
+        })
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+
+        dispatch({
+            type: POST_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Go back to the feed
+export const clearSearch = () => dispatch => {
+    dispatch({ type: CLEAR_SEARCH });
+};
+
 // Add like
 export const addLike = postId => async dispatch => {
     try {
@@ -106,6 +169,31 @@ export const addPost = formData => async dispatch => {
     }
 };
 
+// Edit post
+export const editPost = (postId, formData) => async dispatch => {
+    const config = {
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    };
+
+    try {
+        const res = await axios.put(`/api/posts/${postId}`, formData, config);
+
+        dispatch({
+            type: UPDATE_POST,
+            payload: res.data
+        });
+
+        dispatch(setAlert('Post Updated', 'success'));
+    } catch (err) {
+        dispatch({
+            type: POST_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
 // Get post
 export const getPost = (postId) => async dispatch => {
     try {
@@ -136,7 +224,7 @@ export const addComment = (postId, formData) => async dispatch => {
 
         dispatch({
             type: ADD_COMMENT,
-            payload: res.data
+            payload: { postId, comments: res.data }
         });
 
         dispatch(setAlert('Comment Added', 'success'));
@@ -148,14 +236,39 @@ export const addComment = (postId, formData) => async dispatch => {
     }
 };
 
+// Edit comment
+export const editComment = (postId, commentId, formData) => async dispatch => {
+    const config = {
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    };
+
+    try {
+        const res = await axios.put(`/api/posts/comment/${postId}/${commentId}`, formData, config);
+
+        dispatch({
+            type: UPDATE_COMMENT,
+            payload: { postId, comments: res.data }
+        });
+
+        dispatch(setAlert('Comment Updated', 'success'));
+    } catch (err) {
+        dispatch({
+            type: POST_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
 // Delete comment
 export const deleteComment = (postId, commentId) => async dispatch => {
     try {
-        const res = await axios.delete(`/api/posts/comment/${postId}/${commentId}`);
+        await axios.delete(`/api/posts/comment/${postId}/${commentId}`);
 
         dispatch({
             type: REMOVE_COMMENT,
-            payload: commentId
+            payload: { postId, commentId }
         });
 
         dispatch(setAlert('Comment Removed', 'success'));
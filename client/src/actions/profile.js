@@ -1,5 +1,7 @@
 import axios from 'axios';
 import { setAlert } from "./alert";
+import { disconnectSocket } from "./socket";
+import downloadFile from "../utils/downloadFile";
 
 import {
     GET_PROFILE,
@@ -8,7 +10,10 @@ import {
     PROFILE_ERROR,
     CLEAR_PROFILE,
     UPDATE_PROFILE,
-    ACCOUNT_DELETED
+    UPDATE_FOLLOWERS,
+    GET_CONNECTIONS,
+    ACCOUNT_DELETED,
+    ACCOUNT_RESTORED
 } from "./types";
 
 // Get current users profile
@@ -30,12 +35,12 @@ export const getCurrentProfile = () => async dispatch => {
     }
 };
 
-// Get all profiles
-export const getProfiles = () => async dispatch => {
+// Get profiles matching the directory filters
+export const getProfiles = (filters = {}) => async dispatch => {
     dispatch({ type: CLEAR_PROFILE });
 
     try {
-        const res = await axios.get('/api/profile');
+        const res = await axios.get('/api/profile', { params: filters });
 
         dispatch({
             type: GET_PROFILES,
@@ -65,10 +70,10 @@ export const getProfileByID = userId => async dispatch => {
     }
 };
 
-// Get GitHub Repos
-export const getGithubRepos = username => async dispatch => {
+// Get latest repos from each of a profile's code hosts
+export const getRepos = userId => async dispatch => {
     try {
-        const res = await axios.get(`/api/profile/github/${username}`);
+        const res = await axios.get(`/api/profile/user/${userId}/repos`);
 
         dispatch({
             type: GET_REPOS,
@@ -219,26 +224,254 @@ export const deleteEducation = id => async dispatch => {
     }
 };
 
-// Delete account & profile
-export const deleteAccount = () => async dispatch => {
-    if(window.confirm('Are you sure? This can NOT be undone!')) {
-        try {
-            await axios.delete(`/api/profile`);
-
-            dispatch({
-                type: CLEAR_PROFILE
-            });
-
-            dispatch({
-                type: ACCOUNT_DELETED
-            });
-
-            dispatch(setAlert('Your account has been permanently deleted'));
-        } catch (err) {
-            dispatch({
-                type: PROFILE_ERROR,
-                payload: {msg: err.response.statusText, status: err.response.status}
-            });
+// Update experience
+export const updateExperience = (id, formData, history) => async dispatch => {
+    try {
+        const res = await axios.patch(`/api/profile/experience/${id}`, formData);
+
+        dispatch({
+            type: UPDATE_PROFILE,
+            payload: res.data
+        });
+
+        dispatch(setAlert('Experience Updated', 'success'));
+
+        history.push('/dashboard');
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+
+        dispatch({
+            type: PROFILE_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Update education
+export const updateEducation = (id, formData, history) => async dispatch => {
+    try {
+        const res = await axios.patch(`/api/profile/education/${id}`, formData);
+
+        dispatch({
+            type: UPDATE_PROFILE,
+            payload: res.data
+        });
+
+        dispatch(setAlert('Education Updated', 'success'));
+
+        history.push('/dashboard');
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
         }
+
+        dispatch({
+            type: PROFILE_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Reorder experience, order lists every experience id
+export const reorderExperience = order => async dispatch => {
+    try {
+        const res = await axios.put('/api/profile/experience/order', { order });
+
+        dispatch({
+            type: UPDATE_PROFILE,
+            payload: res.data
+        });
+    } catch (err) {
+        dispatch(setAlert('Could not save the new order', 'danger'));
+
+        dispatch({
+            type: PROFILE_ERROR,
+            payload: {msg: err.response.statusText, status: err.response.status}
+        });
+    }
+};
+
+// Reorder education, order lists every education id
+export const reorderEducation = order => async dispatch => {
+    try {
+        const res = await axios.put('/api/profile/education/order', { order });
+
+        dispatch({
+            type: UPDATE_PROFILE,
+            payload: res.data
+        });
+    } catch (err) {
+        dispatch(setAlert('Could not save the new order', 'danger'));
+
+        dispatch({
+            type: PROFILE_ERROR,
+            payload: {msg: err.response.statusText, status: err.response.status}
+        });
+    }
+};
+
+// Follow user
+export const follow = userId => async dispatch => {
+    try {
+        const res = await axios.put(`/api/profile/follow/${userId}`);
+
+        dispatch({
+            type: UPDATE_FOLLOWERS,
+            payload: res.data
+        });
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+    }
+};
+
+// Unfollow user
+export const unfollow = userId => async dispatch => {
+    try {
+        const res = await axios.put(`/api/profile/unfollow/${userId}`);
+
+        dispatch({
+            type: UPDATE_FOLLOWERS,
+            payload: res.data
+        });
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+    }
+};
+
+// Get users current user follows or is followed by
+export const getConnections = () => async dispatch => {
+    try {
+        const res = await axios.get('/api/profile/connections');
+
+        dispatch({
+            type: GET_CONNECTIONS,
+            payload: res.data
+        });
+    } catch (err) {
+        dispatch({
+            type: GET_CONNECTIONS,
+            payload: []
+        });
+    }
+};
+
+// Upload a JSON Resume or LinkedIn export and get back the changes it would make
+export const previewImport = file => async dispatch => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+        const res = await axios.post('/api/profile/import/preview', formData);
+
+        return res.data;
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+        return null;
+    }
+};
+
+// Apply the confirmed parts of an import
+export const importProfile = (data, history) => async dispatch => {
+    try {
+        const res = await axios.post('/api/profile/import', data);
+
+        dispatch({
+            type: GET_PROFILE,
+            payload: res.data
+        });
+
+        dispatch(setAlert('Profile Imported', 'success'));
+
+        history.push('/dashboard');
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+
+        dispatch({
+            type: PROFILE_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        })
+    }
+};
+
+// Download an archive of all account data
+export const exportData = () => async dispatch => {
+    try {
+        await downloadFile('/api/users/me/export', 'devconnector-export.zip');
+    } catch (err) {
+        dispatch(setAlert('Could not export your data, please try again', 'danger'));
+    }
+};
+
+// Download résumé of a profile as PDF or JSON Resume
+export const downloadResume = (userId, format = 'pdf') => async dispatch => {
+    try {
+        await downloadFile(`/api/profile/user/${userId}/resume`, `resume.${format}`, { format });
+    } catch (err) {
+        dispatch(setAlert('Could not download the résumé, please try again', 'danger'));
+    }
+};
+
+// Delete account & profile, after a grace period in which logging in can restore it
+export const deleteAccount = () => async dispatch => {
+    try {
+        const res = await axios.delete(`/api/profile`);
+
+        dispatch(disconnectSocket());
+
+        dispatch({
+            type: CLEAR_PROFILE
+        });
+
+        dispatch({
+            type: ACCOUNT_DELETED
+        });
+
+        const date = new Date(res.data.deleteAfter).toLocaleDateString();
+        dispatch(setAlert(`Your account will be permanently deleted on ${date}. Log in before then to restore it.`, 'success', 10000));
+    } catch (err) {
+        dispatch({
+            type: PROFILE_ERROR,
+            payload: {msg: err.response.statusText, status: err.response.status}
+        });
+    }
+};
+
+// Cancel scheduled deletion
+export const restoreAccount = () => async dispatch => {
+    try {
+        await axios.post('/api/users/me/restore');
+
+        dispatch({
+            type: ACCOUNT_RESTORED
+        });
+
+        dispatch(setAlert('Your account has been restored', 'success'));
+    } catch (err) {
+        dispatch({
+            type: PROFILE_ERROR,
+            payload: {msg: err.response.statusText, status: err.response.status}
+        });
     }
 };
@@ -0,0 +1,60 @@
+import axios from 'axios';
+import { setAlert } from './alert';
+import {
+    GET_REPORTS,
+    REPORT_HANDLED,
+    REPORT_ERROR
+} from './types';
+
+// Report a post, comment or profile, resolves to whether it worked
+export const reportContent = ({ targetType, target, post, reason, details }) => async dispatch => {
+    try {
+        await axios.post('/api/reports', { targetType, target, post, reason, details });
+
+        dispatch(setAlert('Thanks, a moderator will review your report', 'success'));
+        return true;
+    } catch (err) {
+        const errors = err.response.data.errors;
+
+        if(errors) {
+            errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+        }
+        return false;
+    }
+};
+
+// Get moderation queue
+export const getReports = (status = 'open') => async dispatch => {
+    try {
+        const res = await axios.get('/api/reports', { params: { status } });
+
+        dispatch({
+            type: GET_REPORTS,
+            payload: res.data
+        });
+    } catch (err) {
+        dispatch({
+            type: REPORT_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        });
+    }
+};
+
+// Action or dismiss a report and the other open reports of the same content
+export const handleReport = (reportId, status) => async dispatch => {
+    try {
+        const res = await axios.put(`/api/reports/${reportId}`, { status });
+
+        dispatch({
+            type: REPORT_HANDLED,
+            payload: res.data
+        });
+
+        dispatch(setAlert(status === 'actioned' ? 'Report actioned, content stays hidden' : 'Report dismissed', 'success'));
+    } catch (err) {
+        dispatch({
+            type: REPORT_ERROR,
+            payload: { msg: err.response.statusText, status: err.response.status}
+        });
+    }
+};
@@ -0,0 +1,45 @@
+import io from 'socket.io-client';
+import {
+    ADD_POST,
+    UPDATE_POST,
+    DELETE_POST,
+    UPDATE_LIKES,
+    ADD_COMMENT,
+    REMOVE_COMMENT,
+    ADD_NOTIFICATION
+} from "./types";
+
+let socket = null;
+
+// Connect to live post updates and notifications
+export const connectSocket = () => (dispatch, getState) => {
+    if(socket || !localStorage.token) return;
+
+    socket = io({ query: { token: localStorage.token } });
+
+    // Reconnect with the latest access token, it may have been refreshed
+    socket.on('reconnect_attempt', () => {
+        socket.io.opts.query = { token: localStorage.token };
+    });
+
+    socket.on('post:created', post => {
+        // Only the everyone feed shows posts from people not followed
+        if(getState().post.feed === 'everyone') {
+            dispatch({ type: ADD_POST, payload: post });
+        }
+    });
+    socket.on('post:updated', post => dispatch({ type: UPDATE_POST, payload: post }));
+    socket.on('post:deleted', ({ postId }) => dispatch({ type: DELETE_POST, payload: postId }));
+    socket.on('post:likes', payload => dispatch({ type: UPDATE_LIKES, payload }));
+    socket.on('post:comments', payload => dispatch({ type: ADD_COMMENT, payload }));
+    socket.on('post:comment-removed', payload => dispatch({ type: REMOVE_COMMENT, payload }));
+    socket.on('notification', payload => dispatch({ type: ADD_NOTIFICATION, payload }));
+};
+
+// Disconnect from live post updates and notifications
+export const disconnectSocket = () => () => {
+    if(socket) {
+        socket.close();
+        socket = null;
+    }
+};
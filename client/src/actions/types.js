@@ -7,18 +7,47 @@ export const AUTH_ERROR = 'AUTH_ERROR';
 export const LOGIN_SUCCESS = 'LOGIN_SUCCESS';
 export const LOGIN_FAIL = 'LOGIN_FAIL';
 export const LOGOUT = 'LOGOUT';
+export const TOKEN_REFRESHED = 'TOKEN_REFRESHED';
+export const EMAIL_VERIFIED = 'EMAIL_VERIFIED';
+export const TWO_FACTOR_REQUIRED = 'TWO_FACTOR_REQUIRED';
+export const TWO_FACTOR_UPDATED = 'TWO_FACTOR_UPDATED';
 export const GET_PROFILE = 'GET_PROFILE';
 export const GET_PROFILES = 'GET_PROFILES';
 export const UPDATE_PROFILE = 'UPDATE_PROFILE';
 export const CLEAR_PROFILE =  'CLEAR_PROFILE';
 export const PROFILE_ERROR = 'PROFILE_ERROR';
 export const ACCOUNT_DELETED =  'ACCOUNT_DELETED';
+export const ACCOUNT_RESTORED = 'ACCOUNT_RESTORED';
 export const GET_REPOS = 'GET_REPOS';
+export const UPDATE_FOLLOWERS = 'UPDATE_FOLLOWERS';
+export const GET_CONNECTIONS = 'GET_CONNECTIONS';
 export const GET_POSTS = 'GET_POSTS';
+export const GET_MORE_POSTS = 'GET_MORE_POSTS';
+export const POSTS_LOADING_MORE = 'POSTS_LOADING_MORE';
+export const SEARCH_POSTS = 'SEARCH_POSTS';
+export const CLEAR_SEARCH = 'CLEAR_SEARCH';
 export const POST_ERROR = 'POST_ERROR';
 export const UPDATE_LIKES = 'UPDATE_LIKES';
 export const DELETE_POST = 'DELETE_POST';
 export const ADD_POST = 'ADD_POST';
 export const GET_POST = 'GET_POST';
+export const UPDATE_POST = 'UPDATE_POST';
 export const ADD_COMMENT = 'ADD_COMMENT';
+export const UPDATE_COMMENT = 'UPDATE_COMMENT';
 export const REMOVE_COMMENT = 'REMOVE_COMMENT';
+export const GET_CONVERSATIONS = 'GET_CONVERSATIONS';
+export const GET_THREAD = 'GET_THREAD';
+export const SEND_MESSAGE = 'SEND_MESSAGE';
+export const MESSAGES_READ = 'MESSAGES_READ';
+export const MESSAGE_ERROR = 'MESSAGE_ERROR';
+export const GET_NOTIFICATIONS = 'GET_NOTIFICATIONS';
+export const ADD_NOTIFICATION = 'ADD_NOTIFICATION';
+export const NOTIFICATION_READ = 'NOTIFICATION_READ';
+export const NOTIFICATIONS_READ = 'NOTIFICATIONS_READ';
+export const NOTIFICATION_ERROR = 'NOTIFICATION_ERROR';
+export const GET_ADMIN_USERS = 'GET_ADMIN_USERS';
+export const UPDATE_ADMIN_USER = 'UPDATE_ADMIN_USER';
+export const ADMIN_ERROR = 'ADMIN_ERROR';
+export const GET_REPORTS = 'GET_REPORTS';
+export const REPORT_HANDLED = 'REPORT_HANDLED';
+export const REPORT_ERROR = 'REPORT_ERROR';
@@ -0,0 +1,121 @@
+import React, {Fragment, useEffect, useMemo, useState} from 'react';
+import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import Moment from 'react-moment';
+import Spinner from '../layout/Spinner';
+import {getAdminUsers, suspendUser, unsuspendUser, setUserRole} from "../../actions/admin";
+import {parseQuery, buildQuery} from "../../utils/queryString";
+import ROLES from '../../utils/roles';
+
+const AdminDashboard = ({getAdminUsers, suspendUser, unsuspendUser, setUserRole, admin: {users, page, pages, total, loading}, auth, location, history}) => {
+    const filters = useMemo(() => parseQuery(location.search), [location.search]);
+    const [search, setSearch] = useState(filters.q || '');
+
+    useEffect(() => {
+        getAdminUsers(filters);
+    }, [getAdminUsers, filters]);
+
+    const goTo = query => history.push({ search: buildQuery(query) });
+
+    const rows = users.map(user => {
+        const isSelf = auth.user !== null && auth.user._id === user._id;
+
+        return (
+            <tr key={user._id}>
+                <td>
+                    <img className="round-img admin-avatar" src={user.avatar} alt=""/>{' '}{user.name}
+                </td>
+                <td className="hide-sm">{user.email}</td>
+                <td className="hide-sm"><Moment format='YYYY/MM/DD'>{user.date}</Moment></td>
+                <td>
+                    <select value={user.role} disabled={isSelf} onChange={e => setUserRole(user._id, e.target.value)}>
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                </td>
+                <td>
+                    {user.suspended ? (
+                        <button className="btn btn-light" disabled={isSelf} onClick={() => unsuspendUser(user._id)}>
+                            Unsuspend
+                        </button>
+                    ) : (
+                        <button className="btn btn-danger" disabled={isSelf || user.role === 'admin'} onClick={() => suspendUser(user._id)}>
+                            Suspend
+                        </button>
+                    )}
+                </td>
+            </tr>
+        );
+    });
+
+    return (
+        <Fragment>
+            <h1 className="large text-primary">Admin</h1>
+            <p className="lead">
+                <i className="fas fa-user-shield"></i> Manage users and their roles
+            </p>
+            <form className="form admin-search" onSubmit={e => {
+                e.preventDefault();
+                goTo({ q: search });
+            }}>
+                <input type="text" placeholder="Search by name or email" value={search} onChange={e => setSearch(e.target.value)}/>
+                <input type="submit" className="btn btn-primary" value="Search"/>
+            </form>
+            { loading ? <Spinner/> : (
+                <Fragment>
+                    <p className="my-1">{total} user{total !== 1 && 's'} found</p>
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th className="hide-sm">Email</th>
+                                <th className="hide-sm">Joined</th>
+                                <th>Role</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                        {rows}
+                        </tbody>
+                    </table>
+                    {pages > 1 && (
+                        <div className="pagination my-1">
+                            <button
+                                type="button"
+                                className="btn btn-light"
+                                disabled={page <= 1}
+                                onClick={() => goTo({...filters, page: page - 1})}
+                            >
+                                Previous
+                            </button>
+                            <span>Page {page} of {pages}</span>
+                            <button
+                                type="button"
+                                className="btn btn-light"
+                                disabled={page >= pages}
+                                onClick={() => goTo({...filters, page: page + 1})}
+                            >
+                                Next
+                            </button>
+                        </div>
+                    )}
+                </Fragment>
+            )}
+        </Fragment>
+    )
+};
+
+AdminDashboard.propTypes = {
+    getAdminUsers: PropTypes.func.isRequired,
+    suspendUser: PropTypes.func.isRequired,
+    unsuspendUser: PropTypes.func.isRequired,
+    setUserRole: PropTypes.func.isRequired,
+    admin: PropTypes.object.isRequired,
+    auth: PropTypes.object.isRequired
+};
+
+const mapStateToProps = state => ({
+    admin: state.admin,
+    auth: state.auth
+});
+
+export default connect(mapStateToProps, {getAdminUsers, suspendUser, unsuspendUser, setUserRole})(AdminDashboard);
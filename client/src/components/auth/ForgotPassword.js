@@ -0,0 +1,36 @@
+import React, { Fragment, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { forgotPassword } from '../../actions/auth';
+
+const ForgotPassword = ({ forgotPassword }) => {
+    const [email, setEmail] = useState('');
+
+    const onSubmit = e => {
+        e.preventDefault();
+        forgotPassword(email);
+    };
+
+    return (
+        <Fragment>
+            <h1 className="large text-primary">Forgot Password</h1>
+            <p className="lead"><i className="fas fa-key"></i> We'll mail you a link to choose a new one</p>
+            <form className="form" onSubmit={e => onSubmit(e)}>
+                <div className="form-group">
+                    <input type="email" placeholder="Email Address" name="email" value={email} onChange={e => setEmail(e.target.value)} required/>
+                </div>
+                <input type="submit" className="btn btn-primary" value="Send Reset Link"/>
+            </form>
+            <p className="my-1">
+                Remembered it? <Link to='/login'>Sign In</Link>
+            </p>
+        </Fragment>
+    )
+};
+
+ForgotPassword.propTypes = {
+    forgotPassword: PropTypes.func.isRequired
+};
+
+export default connect(null, { forgotPassword })(ForgotPassword);
@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import { Redirect } from 'react-router-dom';
+import { connect } from "react-redux";
+import PropTypes from 'prop-types';
+import Spinner from '../layout/Spinner';
+import { githubLogin } from '../../actions/auth';
+import { setAlert } from '../../actions/alert';
+import { parseQuery } from '../../utils/queryString';
+
+// GitHub sends the browser here with a code, which the API trades for our tokens
+const GithubCallback = ({ githubLogin, setAlert, location, isAuthenticated, twoFactorToken }) => {
+    const [finished, setFinished] = useState(false);
+
+    useEffect(() => {
+        const { code, state, error } = parseQuery(location.search);
+
+        if(error || !code) {
+            setAlert('GitHub sign in was cancelled', 'danger');
+            setFinished(true);
+            return;
+        }
+
+        // Signing in redirects away before the request settles
+        let active = true;
+        githubLogin(code, state).then(() => active && setFinished(true));
+        return () => {
+            active = false;
+        };
+    }, [githubLogin, setAlert, location.search]);
+
+    if(isAuthenticated) {
+        return <Redirect to='/dashboard' />;
+    }
+
+    // Login shows the second step, and is where to try again after a failure
+    if(twoFactorToken || finished) {
+        return <Redirect to='/login' />;
+    }
+
+    return <Spinner/>;
+};
+
+GithubCallback.propTypes = {
+    githubLogin: PropTypes.func.isRequired,
+    setAlert: PropTypes.func.isRequired,
+    isAuthenticated: PropTypes.bool,
+    twoFactorToken: PropTypes.string
+};
+
+const mapStateToProps = state => ({
+    isAuthenticated: state.auth.isAuthenticated,
+    twoFactorToken: state.auth.twoFactorToken
+});
+
+export default connect(mapStateToProps, { githubLogin, setAlert })(GithubCallback);
@@ -0,0 +1,21 @@
+import React from 'react';
+import { connect } from "react-redux";
+import PropTypes from 'prop-types';
+import { startGithubLogin } from '../../actions/auth';
+
+const GithubLoginButton = ({ startGithubLogin, label }) => (
+    <button type="button" className="btn btn-dark my-1" onClick={() => startGithubLogin()}>
+        <i className="fab fa-github"></i> {label}
+    </button>
+);
+
+GithubLoginButton.propTypes = {
+    startGithubLogin: PropTypes.func.isRequired,
+    label: PropTypes.string
+};
+
+GithubLoginButton.defaultProps = {
+    label: 'Sign in with GitHub'
+};
+
+export default connect(null, { startGithubLogin })(GithubLoginButton);
@@ -2,9 +2,11 @@ import React, { Fragment, useState } from 'react'
 import { Link, Redirect } from 'react-router-dom'
 import { connect } from "react-redux";
 import PropTypes from 'prop-types';
+import GithubLoginButton from './GithubLoginButton';
 import { login } from '../../actions/auth';
+import TwoFactorLogin from './TwoFactorLogin';
 
-const Login = ({ login, isAuthenticated }) => {
+const Login = ({ login, isAuthenticated, twoFactorToken }) => {
     const [formData, setFormData] = useState({
         email: '',
         password: '',
@@ -15,6 +17,10 @@ const Login = ({ login, isAuthenticated }) => {
         return <Redirect to='/dashboard' />;
     }
 
+    if(twoFactorToken) {
+        return <TwoFactorLogin/>;
+    }
+
     const { email, password } = formData;
 
     const onChange = e => setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -44,6 +50,10 @@ const Login = ({ login, isAuthenticated }) => {
                 </div>
                 <input type="submit" className="btn btn-primary" value="Login"/>
             </form>
+            <GithubLoginButton/>
+            <p className="my-1">
+                Forgot your password? <Link to='/forgot-password'>Reset it</Link>
+            </p>
             <p className="my-1">
                 Don't have an account? <Link to='/register'>Sign Up</Link>
             </p>
@@ -54,10 +64,12 @@ const Login = ({ login, isAuthenticated }) => {
 Login.propTypes = {
     login: PropTypes.func.isRequired,
     isAuthenticated: PropTypes.bool,
+    twoFactorToken: PropTypes.string
 };
 
 const mapStateToProps = state => ({
-    isAuthenticated: state.auth.isAuthenticated
+    isAuthenticated: state.auth.isAuthenticated,
+    twoFactorToken: state.auth.twoFactorToken
 });
 
 export default connect(mapStateToProps, { login })(Login);
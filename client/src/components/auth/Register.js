@@ -4,6 +4,7 @@ import { Link, Redirect } from 'react-router-dom';
 import { setAlert } from '../../actions/alert';
 import { register } from '../../actions/auth';
 import PropTypes from 'prop-types';
+import GithubLoginButton from './GithubLoginButton';
 
 const Register = ({ setAlert, register, isAuthenticated }) => {
     const [formData, setFormData] = useState({
@@ -68,6 +69,7 @@ const Register = ({ setAlert, register, isAuthenticated }) => {
                 </div>
                 <input type="submit" className="btn btn-primary" value="Register"/>
             </form>
+            <GithubLoginButton label="Sign up with GitHub"/>
             <p className="my-1">
                 Already have an account? <Link to='/login'>Sign In</Link>
             </p>
@@ -0,0 +1,42 @@
+import React, { Fragment, useState } from 'react';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { verifyTwoFactor } from '../../actions/auth';
+
+const TwoFactorLogin = ({ verifyTwoFactor }) => {
+    const [code, setCode] = useState('');
+
+    const onSubmit = e => {
+        e.preventDefault();
+        verifyTwoFactor(code);
+    };
+
+    return (
+        <Fragment>
+            <h1 className="large text-primary">Two-Factor Authentication</h1>
+            <p className="lead"><i className="fas fa-shield-alt"></i> Enter the code from your authenticator app</p>
+            <form className="form" onSubmit={e => onSubmit(e)}>
+                <div className="form-group">
+                    <input
+                        type="text"
+                        placeholder="Code"
+                        name="code"
+                        value={code}
+                        onChange={e => setCode(e.target.value)}
+                        autoComplete="one-time-code"
+                        autoFocus
+                        required
+                    />
+                    <small className="form-text">Lost your device? Enter one of your recovery codes instead</small>
+                </div>
+                <input type="submit" className="btn btn-primary" value="Verify"/>
+            </form>
+        </Fragment>
+    )
+};
+
+TwoFactorLogin.propTypes = {
+    verifyTwoFactor: PropTypes.func.isRequired
+};
+
+export default connect(null, { verifyTwoFactor })(TwoFactorLogin);
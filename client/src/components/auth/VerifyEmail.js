@@ -0,0 +1,48 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import Spinner from '../layout/Spinner';
+import { verifyEmail } from '../../actions/auth';
+
+const VerifyEmail = ({ verifyEmail, match, isAuthenticated }) => {
+    // null while the request is pending, then whether it worked
+    const [verified, setVerified] = useState(null);
+
+    useEffect(() => {
+        verifyEmail(match.params.token).then(setVerified);
+    }, [verifyEmail, match.params.token]);
+
+    if(verified === null) {
+        return <Spinner/>;
+    }
+
+    return (
+        <Fragment>
+            <h1 className="large text-primary">Email Verification</h1>
+            <p className="lead">
+                {verified ? (
+                    <Fragment><i className="fas fa-check"></i> Your email address has been verified</Fragment>
+                ) : (
+                    <Fragment><i className="fas fa-times"></i> This link is not valid or has expired</Fragment>
+                )}
+            </p>
+            {isAuthenticated ? (
+                <Link to='/dashboard' className="btn btn-primary">Go to Dashboard</Link>
+            ) : (
+                <Link to='/login' className="btn btn-primary">Sign In</Link>
+            )}
+        </Fragment>
+    )
+};
+
+VerifyEmail.propTypes = {
+    verifyEmail: PropTypes.func.isRequired,
+    isAuthenticated: PropTypes.bool
+};
+
+const mapStateToProps = state => ({
+    isAuthenticated: state.auth.isAuthenticated
+});
+
+export default connect(mapStateToProps, { verifyEmail })(VerifyEmail);
@@ -1,4 +1,4 @@
-import React, { useEffect, Fragment } from 'react';
+import React, { useEffect, useState, Fragment } from 'react';
 import { Link } from "react-router-dom";
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
@@ -6,19 +6,40 @@ import Spinner from '../layout/Spinner';
 import DashboardActions from './DashboardActions';
 import Experience from './Experience';
 import Education from './Education';
-import {deleteAccount, getCurrentProfile} from '../../actions/profile';
+import TwoFactorSettings from './TwoFactorSettings';
+import DeleteAccountDialog from './DeleteAccountDialog';
+import {deleteAccount, restoreAccount, exportData, getCurrentProfile} from '../../actions/profile';
+import { logoutAll, resendVerification } from '../../actions/auth';
 
-const Dashboard = ({ getCurrentProfile, deleteAccount, auth: {user}, profile: {profile, loading} }) => {
+const Dashboard = ({ getCurrentProfile, deleteAccount, restoreAccount, exportData, logoutAll, resendVerification, auth: {user}, profile: {profile, loading} }) => {
     useEffect(() => {
         getCurrentProfile();
     }, [getCurrentProfile]);
 
+    const [confirmingDelete, setConfirmingDelete] = useState(false);
+
     // TODO: Fix "profile not created" message from popping up when loading profile
     return loading && profile === null ? <Spinner/> : <Fragment>
         <h1 className="large text-primary">Dashboard</h1>
         <p className="lead">
             <i className="fas fa-user"></i>{' '}Welcome { user && user.name }
         </p>
+        {user && user.deleteAfter && (
+            <div className="alert alert-danger">
+                Your account is scheduled for deletion on {new Date(user.deleteAfter).toLocaleDateString()}.{' '}
+                <button className="btn btn-light" onClick={() => restoreAccount()}>
+                    Restore Account
+                </button>
+            </div>
+        )}
+        {user && !user.verified && (
+            <div className="alert alert-light">
+                Please verify your email address using the link we mailed you.{' '}
+                <button className="btn btn-light" onClick={() => resendVerification()}>
+                    Resend Email
+                </button>
+            </div>
+        )}
         {profile !== null ? (
             <Fragment>
                 <DashboardActions/>
@@ -26,22 +47,47 @@ const Dashboard = ({ getCurrentProfile, deleteAccount, auth: {user}, profile: {p
                 <Education education={profile.education}/>
 
                 <div className="my-2">
-                    <button className="btn btn-danger" onClick={() => deleteAccount()}>
-                        <i className="fas fa-minus"></i> Delete My Account
+                    <button className="btn btn-light" onClick={() => exportData()}>
+                        <i className="fas fa-download"></i> Export My Data
+                    </button>
+                    <button className="btn btn-light" onClick={() => logoutAll()}>
+                        <i className="fas fa-sign-out-alt"></i> Log Out of All Devices
                     </button>
+                    {!(user && user.deleteAfter) && (
+                        <button className="btn btn-danger" onClick={() => setConfirmingDelete(true)}>
+                            <i className="fas fa-minus"></i> Delete My Account
+                        </button>
+                    )}
                 </div>
             </Fragment>) : (<Fragment>
                 <p>You have not yet setup a profile, please add some info</p>
                 <Link to='/create-profile' className="btn btn-primary my-1">
                     Create Profile
                 </Link>
+                <Link to='/import-profile' className="btn btn-light my-1">
+                    Import from Résumé or LinkedIn
+                </Link>
             </Fragment>)}
+        <TwoFactorSettings enabled={!!(user && user.twoFactor && user.twoFactor.enabled)}/>
+        {confirmingDelete && (
+            <DeleteAccountDialog
+                onConfirm={() => {
+                    setConfirmingDelete(false);
+                    deleteAccount();
+                }}
+                onCancel={() => setConfirmingDelete(false)}
+            />
+        )}
     </Fragment>
 };
 
 Dashboard.propTypes = {
     getCurrentProfile: PropTypes.func.isRequired,
     deleteAccount: PropTypes.func.isRequired,
+    restoreAccount: PropTypes.func.isRequired,
+    exportData: PropTypes.func.isRequired,
+    logoutAll: PropTypes.func.isRequired,
+    resendVerification: PropTypes.func.isRequired,
     auth: PropTypes.object.isRequired,
     profile: PropTypes.object.isRequired
 };
@@ -51,4 +97,4 @@ const mapStateToProps = state => ({
     profile: state.profile
 });
 
-export default connect(mapStateToProps, { getCurrentProfile, deleteAccount })(Dashboard)
+export default connect(mapStateToProps, { getCurrentProfile, deleteAccount, restoreAccount, exportData, logoutAll, resendVerification })(Dashboard)
@@ -13,6 +13,9 @@ const DashboardActions = () => {
             <Link to="/add-education" className="btn btn-light"
             ><i className="fas fa-graduation-cap text-primary"></i> Add Education</Link
             >
+            <Link to="/import-profile" className="btn btn-light"
+            ><i className="fas fa-file-import text-primary"></i> Import</Link
+            >
         </div>
     )
 };
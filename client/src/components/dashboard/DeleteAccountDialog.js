@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const CONFIRMATION = 'DELETE';
+
+const DeleteAccountDialog = ({ onConfirm, onCancel }) => {
+    const [typed, setTyped] = useState('');
+
+    return (
+        <div className="dialog-backdrop" onClick={onCancel}>
+            <div className="dialog bg-white p-2" role="dialog" aria-modal="true" onClick={e => e.stopPropagation()}>
+                <h2 className="text-danger">Delete your account?</h2>
+                <p className="my-1">
+                    Your profile and posts are hidden right away and you are logged out on every device.
+                    After a grace period your account, profile, posts, the messages you sent and the comments
+                    and likes you left on other posts are deleted for good. Log in before then to restore your account.
+                </p>
+                <form className="form" onSubmit={e => {
+                    e.preventDefault();
+                    onConfirm();
+                }}>
+                    <div className="form-group">
+                        <input
+                            type="text"
+                            placeholder={`Type ${CONFIRMATION} to confirm`}
+                            value={typed}
+                            onChange={e => setTyped(e.target.value)}
+                            autoFocus
+                        />
+                    </div>
+                    <input type="submit" className="btn btn-danger" value="Delete My Account" disabled={typed !== CONFIRMATION}/>
+                    <button type="button" className="btn btn-light" onClick={onCancel}>Cancel</button>
+                </form>
+            </div>
+        </div>
+    )
+};
+
+DeleteAccountDialog.propTypes = {
+    onConfirm: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired
+};
+
+export default DeleteAccountDialog;
@@ -1,12 +1,17 @@
 import React, { Fragment } from 'react';
+import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import Moment from 'react-moment';
 import { connect } from "react-redux";
-import { deleteEducation} from "../../actions/profile";
+import { deleteEducation, reorderEducation } from "../../actions/profile";
+import useDragReorder from '../../utils/useDragReorder';
 
-const Education = ({ education, deleteEducation }) => {
-    const educations = education.map(edu => (
-        <tr key={edu._id}>
+const Education = ({ education, deleteEducation, reorderEducation }) => {
+    const rowProps = useDragReorder(education, reordered => reorderEducation(reordered.map(edu => edu._id)));
+
+    const educations = education.map((edu, index) => (
+        <tr key={edu._id} {...rowProps(index)}>
+            <td className="drag-handle" title="Drag to reorder"><i className="fas fa-grip-vertical" /></td>
             <td>{edu.school}</td>
             <td className="hide-sm">{edu.degree}</td>
             <td>
@@ -15,6 +20,7 @@ const Education = ({ education, deleteEducation }) => {
             }
             </td>
             <td>
+                <Link to={`/edit-education/${edu._id}`} className="btn btn-light"><i className="fas fa-edit" />{' '}Edit</Link>
                 <button onClick={() => deleteEducation(edu._id)} className="btn btn-danger"><i className="fas fa-trash-alt" />{' '}Delete</button>
             </td>
         </tr>
@@ -26,6 +32,7 @@ const Education = ({ education, deleteEducation }) => {
             <table className="table">
                 <thead>
                 <tr>
+                    <th />
                     <th>School</th>
                     <th className="hide-sm">Degree</th>
                     <th className="hide-sm">Years</th>
@@ -44,6 +51,7 @@ const Education = ({ education, deleteEducation }) => {
 Education.propTypes = {
     education: PropTypes.array.isRequired,
     deleteEducation: PropTypes.func.isRequired,
+    reorderEducation: PropTypes.func.isRequired,
 };
 
-export default connect(null, { deleteEducation })(Education);
+export default connect(null, { deleteEducation, reorderEducation })(Education);
@@ -1,12 +1,17 @@
 import React, { Fragment } from 'react';
+import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import Moment from 'react-moment';
 import { connect } from "react-redux";
-import { deleteExperience } from "../../actions/profile";
+import { deleteExperience, reorderExperience } from "../../actions/profile";
+import useDragReorder from '../../utils/useDragReorder';
 
-const Experience = ({ experience, deleteExperience }) => {
-    const experiences = experience.map(exp => (
-        <tr key={exp._id}>
+const Experience = ({ experience, deleteExperience, reorderExperience }) => {
+    const rowProps = useDragReorder(experience, reordered => reorderExperience(reordered.map(exp => exp._id)));
+
+    const experiences = experience.map((exp, index) => (
+        <tr key={exp._id} {...rowProps(index)}>
+            <td className="drag-handle" title="Drag to reorder"><i className="fas fa-grip-vertical" /></td>
             <td>{exp.company}</td>
             <td className="hide-sm">{exp.title}</td>
             <td>
@@ -15,6 +20,7 @@ const Experience = ({ experience, deleteExperience }) => {
                 }
             </td>
             <td>
+                <Link to={`/edit-experience/${exp._id}`} className="btn btn-light"><i className="fas fa-edit" />&nbsp;&nbsp;Edit</Link>
                 <button onClick={() => deleteExperience(exp._id)} className="btn btn-danger"><i className="fas fa-trash-alt" />&nbsp;&nbsp;Delete</button>
             </td>
         </tr>
@@ -26,6 +32,7 @@ const Experience = ({ experience, deleteExperience }) => {
             <table className="table">
                 <thead>
                     <tr>
+                        <th />
                         <th>Company</th>
                         <th className="hide-sm">Title</th>
                         <th className="hide-sm">Years</th>
@@ -44,6 +51,7 @@ const Experience = ({ experience, deleteExperience }) => {
 Experience.propTypes = {
     experience: PropTypes.array.isRequired,
     deleteExperience: PropTypes.func.isRequired,
+    reorderExperience: PropTypes.func.isRequired,
 };
 
-export default connect(null, { deleteExperience })(Experience)
+export default connect(null, { deleteExperience, reorderExperience })(Experience)
@@ -0,0 +1,112 @@
+import React, { Fragment, useState } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor } from '../../actions/auth';
+
+const TwoFactorSettings = ({ enabled, setupTwoFactor, enableTwoFactor, disableTwoFactor }) => {
+    // Secret and QR code while enrolling
+    const [setup, setSetup] = useState(null);
+    // Shown once right after enabling
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [formData, setFormData] = useState({
+        code: '',
+        password: ''
+    });
+
+    const { code, password } = formData;
+
+    const onChange = e => setFormData({ ...formData, [e.target.name]: e.target.value });
+
+    const onSetup = async () => {
+        setSetup(await setupTwoFactor());
+    };
+
+    const onEnable = async e => {
+        e.preventDefault();
+        const codes = await enableTwoFactor(code);
+
+        if(codes) {
+            setSetup(null);
+            setRecoveryCodes(codes);
+            setFormData({ code: '', password: '' });
+        }
+    };
+
+    const onDisable = e => {
+        e.preventDefault();
+        disableTwoFactor({ password, code });
+        setFormData({ code: '', password: '' });
+    };
+
+    let content;
+
+    if(recoveryCodes) {
+        content = (
+            <Fragment>
+                <p>
+                    Save these recovery codes somewhere safe. Each one can be used once to sign in
+                    if you lose your device, and they won't be shown again.
+                </p>
+                <ul className="recovery-codes my-1">
+                    {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+                </ul>
+                <button className="btn btn-light" onClick={() => setRecoveryCodes(null)}>Done</button>
+            </Fragment>
+        );
+    } else if(enabled) {
+        content = (
+            <Fragment>
+                <p><i className="fas fa-check"></i> Two-factor authentication is on</p>
+                <form className="form" onSubmit={e => onDisable(e)}>
+                    <div className="form-group">
+                        <input type="password" placeholder="Password" name="password" value={password} onChange={e => onChange(e)} required/>
+                    </div>
+                    <div className="form-group">
+                        <input type="text" placeholder="Authenticator or recovery code" name="code" value={code} onChange={e => onChange(e)} autoComplete="one-time-code" required/>
+                    </div>
+                    <input type="submit" className="btn btn-danger" value="Disable"/>
+                </form>
+            </Fragment>
+        );
+    } else if(setup) {
+        content = (
+            <Fragment>
+                <p>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+                <img className="two-factor-qr my-1" src={setup.qrCode} alt="Two-factor QR code"/>
+                <p><small>Can't scan it? Enter this key instead: <code>{setup.secret}</code></small></p>
+                <form className="form" onSubmit={e => onEnable(e)}>
+                    <div className="form-group">
+                        <input type="text" placeholder="Code" name="code" value={code} onChange={e => onChange(e)} autoComplete="one-time-code" required/>
+                    </div>
+                    <input type="submit" className="btn btn-primary" value="Enable"/>
+                    <button type="button" className="btn btn-light" onClick={() => setSetup(null)}>Cancel</button>
+                </form>
+            </Fragment>
+        );
+    } else {
+        content = (
+            <Fragment>
+                <p>Protect your account with a code from an authenticator app on top of your password.</p>
+                <button className="btn btn-primary my-1" onClick={() => onSetup()}>
+                    <i className="fas fa-shield-alt"></i> Set Up Two-Factor Authentication
+                </button>
+            </Fragment>
+        );
+    }
+
+    return (
+        <Fragment>
+            <h2 className="my-2">Two-Factor Authentication</h2>
+            {content}
+        </Fragment>
+    )
+};
+
+TwoFactorSettings.propTypes = {
+    enabled: PropTypes.bool.isRequired,
+    setupTwoFactor: PropTypes.func.isRequired,
+    enableTwoFactor: PropTypes.func.isRequired,
+    disableTwoFactor: PropTypes.func.isRequired
+};
+
+export default connect(null, { setupTwoFactor, enableTwoFactor, disableTwoFactor })(TwoFactorSettings);
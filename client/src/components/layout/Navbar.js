@@ -3,8 +3,10 @@ import { Link } from 'react-router-dom';
 import { connect } from 'react-redux';
 import PropTypes from 'prop-types';
 import { logout } from '../../actions/auth';
+import NotificationBell from './NotificationBell';
+import { hasRole } from '../../utils/roles';
 
- const Navbar = ({ auth: { isAuthenticated, loading }, logout }) => {
+ const Navbar = ({ auth: { isAuthenticated, loading, user }, logout }) => {
      const authLinks = (
          <ul>
              <li>
@@ -13,9 +15,25 @@ import { logout } from '../../actions/auth';
              <li>
                  <Link to="/posts">Posts</Link>
              </li>
+             <li>
+                 <Link to="/messages">Messages</Link>
+             </li>
              <li>
                  <Link to="/dashboard">Dashboard</Link>
              </li>
+             {hasRole(user, 'moderator') && (
+                 <li>
+                     <Link to="/reports">Reports</Link>
+                 </li>
+             )}
+             {hasRole(user, 'admin') && (
+                 <li>
+                     <Link to="/admin">Admin</Link>
+                 </li>
+             )}
+             <li>
+                 <NotificationBell />
+             </li>
              <li>
                  <Link onClick={logout} to='/login'>
                      <i className="fas fa-sign-out-alt"></i>{' '}
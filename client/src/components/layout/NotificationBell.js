@@ -0,0 +1,78 @@
+import React, {useEffect, useState} from 'react';
+import {Link} from 'react-router-dom';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import Moment from 'react-moment';
+import {getNotifications, markNotificationRead, markAllNotificationsRead} from '../../actions/notification';
+
+const describe = ({type, actor}) => {
+    switch (type) {
+        case 'like':
+            return `${actor.name} liked your post`;
+        case 'comment':
+            return `${actor.name} commented on your post`;
+        case 'follow':
+            return `${actor.name} started following you`;
+        default:
+            return actor.name;
+    }
+};
+
+const NotificationBell = ({notification: {notifications, unreadCount}, getNotifications, markNotificationRead, markAllNotificationsRead}) => {
+    const [open, setOpen] = useState(false);
+
+    useEffect(() => {
+        getNotifications();
+    }, [getNotifications]);
+
+    return (
+        <div className="notification-bell">
+            <button type="button" className="notification-toggle" onClick={() => setOpen(!open)}>
+                <i className="fas fa-bell"></i>
+                {unreadCount > 0 && <span className="badge badge-danger">{unreadCount}</span>}
+            </button>
+            {open && (
+                <div className="notification-dropdown bg-white">
+                    <div className="notification-header p">
+                        <strong>Notifications</strong>
+                        {unreadCount > 0 && (
+                            <button type="button" className="btn btn-light" onClick={() => markAllNotificationsRead()}>
+                                Mark all read
+                            </button>
+                        )}
+                    </div>
+                    {notifications.length > 0 ? notifications.map(notification => (
+                        <Link
+                            key={notification._id}
+                            to={notification.post ? `/posts/${notification.post}` : `/profile/${notification.actor._id}`}
+                            className={`notification p ${notification.read ? '' : 'unread'}`}
+                            onClick={() => {
+                                if(!notification.read) markNotificationRead(notification._id);
+                                setOpen(false);
+                            }}
+                        >
+                            <img className="round-img" src={notification.actor.avatar} alt=""/>
+                            <div>
+                                <p>{describe(notification)}</p>
+                                <small><Moment fromNow>{notification.date}</Moment></small>
+                            </div>
+                        </Link>
+                    )) : <p className="p">No notifications yet</p>}
+                </div>
+            )}
+        </div>
+    )
+};
+
+NotificationBell.propTypes = {
+    notification: PropTypes.object.isRequired,
+    getNotifications: PropTypes.func.isRequired,
+    markNotificationRead: PropTypes.func.isRequired,
+    markAllNotificationsRead: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = state => ({
+    notification: state.notification
+});
+
+export default connect(mapStateToProps, {getNotifications, markNotificationRead, markAllNotificationsRead})(NotificationBell);
@@ -0,0 +1,52 @@
+import React, {Fragment, useEffect} from 'react';
+import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import {Link} from "react-router-dom";
+import Moment from 'react-moment';
+import Spinner from '../layout/Spinner';
+import {getConversations} from "../../actions/message";
+
+const Inbox = ({getConversations, message: {conversations, loading}}) => {
+    useEffect(() => {
+        getConversations();
+    }, [getConversations]);
+
+    return loading ? <Spinner/> : (
+        <Fragment>
+            <h1 className="large text-primary">Messages</h1>
+            <p className="lead">
+                <i className="fas fa-envelope"></i> Your conversations
+            </p>
+            {conversations.length > 0 ? (
+                <div className="conversations">
+                    {conversations.map(({_id, user, lastMessage, unread}) => (
+                        <Link key={_id} to={`/messages/${user._id}`} className="conversation bg-white p-1 my-1">
+                            {user.avatar && <img className="round-img" src={user.avatar} alt=""/>}
+                            <div>
+                                <h4>
+                                    {user.name}{' '}
+                                    {unread > 0 && <span className="badge badge-primary">{unread}</span>}
+                                </h4>
+                                <p className={unread > 0 ? 'text-dark' : ''}>{lastMessage.text}</p>
+                                <p className="post-date">
+                                    <Moment format='YYYY/MM/DD HH:mm'>{lastMessage.date}</Moment>
+                                </p>
+                            </div>
+                        </Link>
+                    ))}
+                </div>
+            ) : <h4>No conversations yet. Start one from a developer's profile.</h4>}
+        </Fragment>
+    )
+};
+
+Inbox.propTypes = {
+    getConversations: PropTypes.func.isRequired,
+    message: PropTypes.object.isRequired,
+};
+
+const mapStateToProps = state => ({
+    message: state.message
+});
+
+export default connect(mapStateToProps, {getConversations})(Inbox);
@@ -0,0 +1,67 @@
+import React, {Fragment, useEffect, useState} from 'react';
+import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import {Link} from "react-router-dom";
+import Moment from 'react-moment';
+import Spinner from '../layout/Spinner';
+import {getThread, sendMessage, markRead} from "../../actions/message";
+
+const Thread = ({getThread, sendMessage, markRead, message: {thread, loading}, auth, match}) => {
+    const [text, setText] = useState('');
+    const userId = match.params.id;
+
+    useEffect(() => {
+        getThread(userId);
+        markRead(userId);
+    }, [getThread, markRead, userId]);
+
+    return loading || thread === null || thread.user._id !== userId ? <Spinner/> : (
+        <Fragment>
+            <Link to='/messages' className='btn'>Back to Messages</Link>
+            <h2 className="text-primary my-1">
+                {thread.user.deleted ? thread.user.name : <Link to={`/profile/${thread.user._id}`}>{thread.user.name}</Link>}
+            </h2>
+            <div className="messages">
+                {thread.messages.length > 0 ? thread.messages.map(({_id, sender, text, date}) => (
+                    <div key={_id} className={`message p ${auth.user && sender === auth.user._id ? 'message-sent bg-primary' : 'message-received bg-light'}`}>
+                        <p>{text}</p>
+                        <small><Moment format='YYYY/MM/DD HH:mm'>{date}</Moment></small>
+                    </div>
+                )) : <p>No messages yet, say hello!</p>}
+            </div>
+            {thread.user.deleted ? <p className="my-1">This account has been deleted, replies can no longer be sent.</p> : (
+                <form className="form my-1" onSubmit={e => {
+                    e.preventDefault();
+                    sendMessage(userId, {text});
+                    setText('')
+                }}>
+                    <textarea
+                        name="text"
+                        cols="30"
+                        rows="3"
+                        placeholder="Write a message"
+                        value={text}
+                        onChange={e => setText(e.target.value)}
+                        required
+                    ></textarea>
+                    <input type="submit" className="btn btn-dark my-1" value="Send"/>
+                </form>
+            )}
+        </Fragment>
+    )
+};
+
+Thread.propTypes = {
+    getThread: PropTypes.func.isRequired,
+    sendMessage: PropTypes.func.isRequired,
+    markRead: PropTypes.func.isRequired,
+    message: PropTypes.object.isRequired,
+    auth: PropTypes.object.isRequired,
+};
+
+const mapStateToProps = state => ({
+    message: state.message,
+    auth: state.auth
+});
+
+export default connect(mapStateToProps, {getThread, sendMessage, markRead})(Thread);
@@ -2,6 +2,7 @@ import React, {useState} from 'react';
 import PropTypes from 'prop-types';
 import {connect} from "react-redux";
 import {addComment} from "../../actions/post";
+import MarkdownTextarea from '../posts/MarkdownTextarea';
 
 const CommentForm = ({postId, addComment}) => {
     const [text, setText] = useState('');
@@ -16,15 +17,11 @@ const CommentForm = ({postId, addComment}) => {
                 addComment(postId, {text});
                 setText('')
             }}>
-          <textarea
-              name="text"
-              cols="30"
-              rows="5"
-              placeholder="Comment on this post"
-              value={text}
-              onChange={e => setText(e.target.value)}
-              required
-          ></textarea>
+                <MarkdownTextarea
+                    placeholder="Comment on this post"
+                    value={text}
+                    onChange={setText}
+                />
                 <input type="submit" className="btn btn-dark my-1" value="Submit"/>
             </form>
         </div>
@@ -1,12 +1,24 @@
-import React from 'react';
+import React, {useState} from 'react';
 import {Link} from "react-router-dom";
 import PropTypes from 'prop-types';
 import {connect} from "react-redux";
 import Moment from "react-moment";
-import {deleteComment} from "../../actions/post";
+import {deleteComment, editComment} from "../../actions/post";
+import Markdown from '../posts/Markdown';
+import MarkdownTextarea from '../posts/MarkdownTextarea';
+import EditHistory from '../posts/EditHistory';
+import { hasRole } from '../../utils/roles';
+import ReportButton from '../reports/ReportButton';
 
-const CommentItem = ({postId, comment: {_id, text, name, avatar, user, date}, auth, deleteComment}) =>
-    (
+const CommentItem = ({postId, comment: {_id, text, name, avatar, user, date, edits, hidden}, auth, deleteComment, editComment}) => {
+    const [editing, setEditing] = useState(false);
+    const [editText, setEditText] = useState(text);
+
+    const isAuthor = !auth.loading && auth.user !== null && user === auth.user._id;
+    // Moderators may remove anything
+    const canDelete = isAuthor || (!auth.loading && hasRole(auth.user, 'moderator'));
+
+    return (
         <div className="post bg-white p-1 my-1">
             <div>
                 <Link to={`/profile/${user}`}>
@@ -19,13 +31,48 @@ const CommentItem = ({postId, comment: {_id, text, name, avatar, user, date}, au
                 </Link>
             </div>
             <div>
-                <p className="my-1">
-                    {text}
-                </p>
+                {editing ? (
+                    <form className="form my-1" onSubmit={e => {
+                        e.preventDefault();
+                        editComment(postId, _id, {text: editText});
+                        setEditing(false);
+                    }}>
+                        <MarkdownTextarea
+                            rows={3}
+                            value={editText}
+                            onChange={setEditText}
+                        />
+                        <input type="submit" className="btn btn-dark my-1" value="Save"/>
+                        <button type="button" className="btn btn-light my-1" onClick={() => setEditing(false)}>
+                            Cancel
+                        </button>
+                    </form>
+                ) : hidden ? (
+                    <p className="my-1 hidden-notice">
+                        <i className="fas fa-eye-slash"></i> This comment is hidden after being reported, pending review
+                    </p>
+                ) : (
+                    <div className="my-1">
+                        <Markdown source={text}/>
+                    </div>
+                )}
                 <p className="post-date">
                     Posted on <Moment format='YYYY/MM/DD'>{date}</Moment>
+                    <EditHistory edits={edits} />
                 </p>
-                {!auth.loading && user === auth.user._id && (
+                {isAuthor && !editing && !hidden && (
+                    <button
+                        onClick={() => {
+                            setEditText(text);
+                            setEditing(true);
+                        }}
+                        type="button"
+                        className="btn btn-light"
+                    >
+                        <i className="fas fa-edit"></i>
+                    </button>
+                )}
+                {canDelete && (
                     <button
                         onClick={e => deleteComment(postId, _id)}
                         type="button"
@@ -34,19 +81,24 @@ const CommentItem = ({postId, comment: {_id, text, name, avatar, user, date}, au
                         <i className="fas fa-times"></i>
                     </button>
                 )}
+                {!isAuthor && !hidden && !auth.loading && (
+                    <ReportButton targetType="comment" target={_id} post={postId}/>
+                )}
             </div>
         </div>
-    );
+    )
+};
 
 CommentItem.propTypes = {
-    postId: PropTypes.number.isRequired,
+    postId: PropTypes.string.isRequired,
     comment: PropTypes.object.isRequired,
     auth: PropTypes.object.isRequired,
     deleteComment: PropTypes.func.isRequired,
+    editComment: PropTypes.func.isRequired,
 };
 
 const mapStateToProps = state => ({
     auth: state.auth
 });
 
-export default connect(mapStateToProps, {deleteComment})(CommentItem);
+export default connect(mapStateToProps, {deleteComment, editComment})(CommentItem);
@@ -0,0 +1,43 @@
+import React, {useEffect} from 'react';
+import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import {getConnections} from "../../actions/profile";
+
+// Checkbox list of followers and followed users for custom post visibility
+const AudiencePicker = ({audience, onChange, connections, getConnections}) => {
+    useEffect(() => {
+        getConnections();
+    }, [getConnections]);
+
+    const toggle = userId => onChange(audience.includes(userId)
+        ? audience.filter(id => id !== userId)
+        : [...audience, userId]);
+
+    return (
+        <div className="audience-picker">
+            {connections.length > 0 ? connections.map(user => (
+                <label key={user._id}>
+                    <input
+                        type="checkbox"
+                        checked={audience.includes(user._id)}
+                        onChange={() => toggle(user._id)}
+                    />{' '}
+                    {user.name}
+                </label>
+            )) : <small>Follow other developers to share posts with them</small>}
+        </div>
+    )
+};
+
+AudiencePicker.propTypes = {
+    audience: PropTypes.array.isRequired,
+    onChange: PropTypes.func.isRequired,
+    connections: PropTypes.array.isRequired,
+    getConnections: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = state => ({
+    connections: state.profile.connections
+});
+
+export default connect(mapStateToProps, {getConnections})(AudiencePicker);
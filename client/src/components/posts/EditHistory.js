@@ -0,0 +1,35 @@
+import React, {Fragment, useState} from 'react';
+import PropTypes from 'prop-types';
+import Moment from 'react-moment';
+
+// "Edited" marker that expands to the previous versions of a post or comment
+const EditHistory = ({edits}) => {
+    const [open, setOpen] = useState(false);
+
+    if(!edits || edits.length === 0) return null;
+
+    return (
+        <Fragment>
+            {' '}&middot;{' '}
+            <button type="button" className="edited-toggle" onClick={() => setOpen(!open)}>
+                edited
+            </button>
+            {open && (
+                <span className="edit-history">
+                    {edits.slice().reverse().map((edit, index) => (
+                        <span key={index} className="edit-version">
+                            <small>Until <Moment format='YYYY/MM/DD HH:mm'>{edit.date}</Moment></small>
+                            {edit.text}
+                        </span>
+                    ))}
+                </span>
+            )}
+        </Fragment>
+    )
+};
+
+EditHistory.propTypes = {
+    edits: PropTypes.array,
+};
+
+export default EditHistory;
@@ -0,0 +1,32 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ReactMarkdown from 'react-markdown';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { prism } from 'react-syntax-highlighter/dist/esm/styles/prism';
+
+// Raw HTML is never rendered and images are shown as their alt text
+const DISALLOWED_TYPES = ['html', 'virtualHtml', 'image', 'imageReference'];
+
+const CodeBlock = ({ language, value }) => (
+    <SyntaxHighlighter language={language} style={prism}>
+        {value}
+    </SyntaxHighlighter>
+);
+
+const Markdown = ({ source }) => (
+    <ReactMarkdown
+        className="markdown"
+        source={source}
+        escapeHtml
+        disallowedTypes={DISALLOWED_TYPES}
+        unwrapDisallowed
+        linkTarget="_blank"
+        renderers={{ code: CodeBlock }}
+    />
+);
+
+Markdown.propTypes = {
+    source: PropTypes.string.isRequired,
+};
+
+export default Markdown;
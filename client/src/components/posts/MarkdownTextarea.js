@@ -0,0 +1,50 @@
+import React, {useState} from 'react';
+import PropTypes from 'prop-types';
+import Markdown from './Markdown';
+
+// Textarea with a Write/Preview toggle for Markdown post and comment text
+const MarkdownTextarea = ({value, onChange, placeholder, rows}) => {
+    const [preview, setPreview] = useState(false);
+
+    return (
+        <div className="markdown-textarea">
+            <div className="markdown-tabs">
+                <button type="button" className={`btn ${preview ? 'btn-light' : 'btn-dark'}`} onClick={() => setPreview(false)}>
+                    Write
+                </button>
+                <button type="button" className={`btn ${preview ? 'btn-dark' : 'btn-light'}`} onClick={() => setPreview(true)}>
+                    Preview
+                </button>
+            </div>
+            {preview ? (
+                <div className="markdown-preview bg-white p-1">
+                    {value.trim() ? <Markdown source={value}/> : <p>Nothing to preview</p>}
+                </div>
+            ) : (
+                <textarea
+                    name="text"
+                    cols="30"
+                    rows={rows}
+                    placeholder={placeholder}
+                    value={value}
+                    onChange={e => onChange(e.target.value)}
+                    required
+                ></textarea>
+            )}
+            <small className="form-text">Markdown and ```fenced code blocks``` are supported</small>
+        </div>
+    )
+};
+
+MarkdownTextarea.defaultProps = {
+    rows: 5
+};
+
+MarkdownTextarea.propTypes = {
+    value: PropTypes.string.isRequired,
+    onChange: PropTypes.func.isRequired,
+    placeholder: PropTypes.string,
+    rows: PropTypes.number,
+};
+
+export default MarkdownTextarea;
@@ -2,9 +2,13 @@ import React, {useState} from 'react';
 import PropTypes from 'prop-types';
 import {connect} from "react-redux";
 import {addPost} from "../../actions/post";
+import MarkdownTextarea from './MarkdownTextarea';
+import AudiencePicker from './AudiencePicker';
 
 const PostForm = ({addPost}) => {
     const [text, setText] = useState('');
+    const [visibility, setVisibility] = useState('public');
+    const [audience, setAudience] = useState([]);
 
     return (
         <div className="post-form">
@@ -13,18 +17,23 @@ const PostForm = ({addPost}) => {
             </div>
             <form className="form my-1" onSubmit={e => {
                 e.preventDefault();
-                addPost({text});
+                addPost({text, visibility, audience});
                 setText('')
             }}>
-          <textarea
-              name="text"
-              cols="30"
-              rows="5"
-              placeholder="Comment on this post"
-              value={text}
-              onChange={e => setText(e.target.value)}
-              required
-          ></textarea>
+                <MarkdownTextarea
+                    placeholder="Create a post"
+                    value={text}
+                    onChange={setText}
+                />
+                <div className="form-group">
+                    <select name="visibility" value={visibility} onChange={e => setVisibility(e.target.value)}>
+                        <option value="public">Everyone</option>
+                        <option value="followers">Followers only</option>
+                        <option value="private">Only me</option>
+                        <option value="custom">Selected people</option>
+                    </select>
+                </div>
+                {visibility === 'custom' && <AudiencePicker audience={audience} onChange={setAudience}/>}
                 <input type="submit" className="btn btn-dark my-1" value="Submit"/>
             </form>
         </div>
@@ -1,11 +1,30 @@
-import React, {Fragment} from 'react';
+import React, {Fragment, useState} from 'react';
 import PropTypes from 'prop-types';
 import {Link} from "react-router-dom";
 import Moment from 'react-moment';
 import {connect} from "react-redux";
-import {addLike, removeLike, deletePost} from "../../actions/post";
+import {addLike, removeLike, deletePost, editPost} from "../../actions/post";
+import SearchSnippet from './SearchSnippet';
+import Markdown from './Markdown';
+import MarkdownTextarea from './MarkdownTextarea';
+import EditHistory from './EditHistory';
+import { hasRole } from '../../utils/roles';
+import ReportButton from '../reports/ReportButton';
+
+const VISIBILITY_ICONS = {
+    followers: ['fas fa-user-friends', 'Followers only'],
+    private: ['fas fa-lock', 'Only me'],
+    custom: ['fas fa-user-check', 'Selected people']
+};
+
+const PostItem = ({auth, post: {_id, text, name, avatar, user, likes, comments, date, edits, visibility, hidden, highlights}, addLike, removeLike, deletePost, editPost, showActions}) => {
+    const [editing, setEditing] = useState(false);
+    const [editText, setEditText] = useState(text);
+
+    const isAuthor = !auth.loading && auth.user !== null && user === auth.user._id;
+    // Moderators may remove anything
+    const canDelete = isAuthor || (!auth.loading && hasRole(auth.user, 'moderator'));
 
-const PostItem = ({auth, post: {_id, text, name, avatar, user, likes, comments, date}, addLike, removeLike, deletePost, showActions}) => {
     return (
         <div className="post bg-white p-1 my-1">
             <div>
@@ -19,12 +38,49 @@ const PostItem = ({auth, post: {_id, text, name, avatar, user, likes, comments,
                 </Link>
             </div>
             <div>
-                <p className="my-1">
-                    {text}
-                </p>
+                {editing ? (
+                    <form className="form my-1" onSubmit={e => {
+                        e.preventDefault();
+                        editPost(_id, {text: editText});
+                        setEditing(false);
+                    }}>
+                        <MarkdownTextarea
+                            rows={5}
+                            value={editText}
+                            onChange={setEditText}
+                        />
+                        <input type="submit" className="btn btn-dark my-1" value="Save"/>
+                        <button type="button" className="btn btn-light my-1" onClick={() => setEditing(false)}>
+                            Cancel
+                        </button>
+                    </form>
+                ) : (
+                    <div className="my-1">
+                        <Markdown source={text}/>
+                    </div>
+                )}
+                {highlights && highlights.length > 0 && (
+                    <div className="search-snippets">
+                        {highlights.map((highlight, index) => (
+                            <SearchSnippet key={index} highlight={highlight} />
+                        ))}
+                    </div>
+                )}
                 <p className="post-date">
                     Posted on <Moment format='YYYY/MM/DD'>{date}</Moment>
+                    {VISIBILITY_ICONS[visibility] && (
+                        <Fragment>
+                            {' '}&middot;{' '}
+                            <i className={VISIBILITY_ICONS[visibility][0]} title={VISIBILITY_ICONS[visibility][1]}></i>
+                        </Fragment>
+                    )}
+                    <EditHistory edits={edits} />
                 </p>
+                {hidden && (
+                    <p className="hidden-notice">
+                        <i className="fas fa-eye-slash"></i> Hidden from others after being reported, pending review
+                    </p>
+                )}
 
                 {showActions && <Fragment>
                     <button onClick={e => addLike(_id)} type="button" className="btn btn-light">
@@ -42,7 +98,19 @@ const PostItem = ({auth, post: {_id, text, name, avatar, user, likes, comments,
                     )}
                     </Link>
 
-                    {!auth.loading && user === auth.user._id && (
+                    {isAuthor && !editing && (
+                        <button
+                            onClick={() => {
+                                setEditText(text);
+                                setEditing(true);
+                            }}
+                            type="button"
+                            className="btn btn-light"
+                        >
+                            <i className="fas fa-edit"></i>
+                        </button>
+                    )}
+                    {canDelete && (
                         <button
                             onClick={e => deletePost(_id)}
                             type="button"
@@ -51,6 +119,9 @@ const PostItem = ({auth, post: {_id, text, name, avatar, user, likes, comments,
                             <i className="fas fa-times"></i>
                         </button>
                     )}
+                    {!isAuthor && !auth.loading && (
+                        <ReportButton targetType="post" target={_id}/>
+                    )}
                 </Fragment>}
             </div>
         </div>
@@ -67,10 +138,11 @@ PostItem.propTypes = {
     addLike: PropTypes.func.isRequired,
     removeLike: PropTypes.func.isRequired,
     deletePost: PropTypes.func.isRequired,
+    editPost: PropTypes.func.isRequired,
 };
 
 const mapStateToProps = state => ({
     auth: state.auth
 });
 
-export default connect(mapStateToProps, {addLike, removeLike, deletePost})(PostItem)
+export default connect(mapStateToProps, {addLike, removeLike, deletePost, editPost})(PostItem)
@@ -0,0 +1,50 @@
+import React, {useState} from 'react';
+import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import {searchPosts, clearSearch} from "../../actions/post";
+
+const PostSearch = ({searchPosts, clearSearch, searchQuery}) => {
+    const [q, setQ] = useState(searchQuery);
+
+    return (
+        <form className="form post-search my-1" onSubmit={e => {
+            e.preventDefault();
+            if(q.trim()) {
+                searchPosts(q.trim());
+            } else {
+                clearSearch();
+            }
+        }}>
+            <input
+                type="text"
+                name="q"
+                placeholder="Search posts and comments"
+                value={q}
+                onChange={e => setQ(e.target.value)}
+            />
+            <button type="submit" className="btn btn-primary">
+                <i className="fas fa-search"></i>
+            </button>
+            {searchQuery && (
+                <button type="button" className="btn btn-light" onClick={() => {
+                    setQ('');
+                    clearSearch();
+                }}>
+                    Clear
+                </button>
+            )}
+        </form>
+    )
+};
+
+PostSearch.propTypes = {
+    searchPosts: PropTypes.func.isRequired,
+    clearSearch: PropTypes.func.isRequired,
+    searchQuery: PropTypes.string.isRequired,
+};
+
+const mapStateToProps = state => ({
+    searchQuery: state.post.searchQuery
+});
+
+export default connect(mapStateToProps, {searchPosts, clearSearch})(PostSearch);
@@ -4,25 +4,81 @@ import {connect} from "react-redux";
 import Spinner from '../layout/Spinner';
 import PostItem from './PostItem';
 import PostForm from './PostForm';
-import {getPosts} from "../../actions/post";
+import PostSearch from './PostSearch';
+import {getPosts, getMorePosts} from "../../actions/post";
 
-const Posts = ({getPosts, post: {posts, loading}}) => {
+// Distance in px from the bottom of the page at which the next page is requested
+const SCROLL_THRESHOLD = 300;
+
+const Posts = ({getPosts, getMorePosts, post: {posts, feed, nextCursor, loading, loadingMore, searchQuery, searchResults}}) => {
     useEffect(() => {
         getPosts();
     }, [getPosts]);
 
+    useEffect(() => {
+        const onScroll = () => {
+            if(!nextCursor || loadingMore || searchResults !== null) return;
+
+            if(window.innerHeight + window.scrollY >= document.body.offsetHeight - SCROLL_THRESHOLD) {
+                getMorePosts(nextCursor);
+            }
+        };
+
+        window.addEventListener('scroll', onScroll);
+        return () => window.removeEventListener('scroll', onScroll);
+    }, [getMorePosts, nextCursor, loadingMore, searchResults]);
+
     return loading ? <Spinner/>  : (
         <Fragment>
             <h1 className="large text-primary">Posts</h1>
             <p className="lead">
                 <i className="fas fa-user"></i> Welcome to the community
             </p>
-            <PostForm />
-            <div className="posts">
-                {posts.map(post => (
-                    <PostItem key={post._id} post={post} />
-                ))}
-            </div>
+            <PostSearch />
+            {searchResults !== null ? (
+                <div className="posts">
+                    <h4>{searchResults.length > 0 ? `Results for "${searchQuery}"` : `No posts found for "${searchQuery}"`}</h4>
+                    {searchResults.map(post => (
+                        <PostItem key={post._id} post={post} />
+                    ))}
+                </div>
+            ) : (
+                <Fragment>
+                    <PostForm />
+                    <div className="feed-toggle">
+                        <button
+                            type="button"
+                            className={`btn ${feed === 'following' ? 'btn-primary' : 'btn-light'}`}
+                            onClick={() => getPosts('following')}
+                        >
+                            Following
+                        </button>
+                        <button
+                            type="button"
+                            className={`btn ${feed === 'everyone' ? 'btn-primary' : 'btn-light'}`}
+                            onClick={() => getPosts('everyone')}
+                        >
+                            Everyone
+                        </button>
+                        <button
+                            type="button"
+                            className={`btn ${feed === 'mine' ? 'btn-primary' : 'btn-light'}`}
+                            onClick={() => getPosts('mine')}
+                        >
+                            My Posts
+                        </button>
+                    </div>
+                    {feed === 'following' && posts.length === 0 && (
+                        <h4 className="my-1">No posts yet from developers you follow</h4>
+                    )}
+                    <div className="posts">
+                        {posts.map(post => (
+                            <PostItem key={post._id} post={post} />
+                        ))}
+                    </div>
+                    {loadingMore && <Spinner/>}
+                </Fragment>
+            )}
         </Fragment>
     )
 };
@@ -30,6 +86,7 @@ const Posts = ({getPosts, post: {posts, loading}}) => {
 
 Posts.propTypes = {
     getPosts: PropTypes.func.isRequired,
+    getMorePosts: PropTypes.func.isRequired,
     post: PropTypes.object.isRequired,
 };
 
@@ -37,4 +94,4 @@ const mapStateToProps = state => ({
     post: state.post
 });
 
-export default connect(mapStateToProps, {getPosts})(Posts);
+export default connect(mapStateToProps, {getPosts, getMorePosts})(Posts);
@@ -0,0 +1,28 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Renders a search excerpt with its matched words wrapped in <mark>
+const SearchSnippet = ({highlight: {comment, text, matches, truncatedStart, truncatedEnd}}) => {
+    const parts = [];
+    let last = 0;
+
+    matches.forEach(([start, end], index) => {
+        parts.push(text.slice(last, start));
+        parts.push(<mark key={index}>{text.slice(start, end)}</mark>);
+        last = end;
+    });
+    parts.push(text.slice(last));
+
+    return (
+        <p className="search-snippet">
+            {comment && <i className="fas fa-comment"></i>}{' '}
+            {truncatedStart && '…'}{parts}{truncatedEnd && '…'}
+        </p>
+    )
+};
+
+SearchSnippet.propTypes = {
+    highlight: PropTypes.object.isRequired,
+};
+
+export default SearchSnippet;
@@ -1,10 +1,14 @@
-import React, {Fragment, useState} from 'react';
+import React, {Fragment, useState, useEffect} from 'react';
 import { Link, withRouter } from "react-router-dom";
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
-import { addEducation } from "../../actions/profile";
+import { addEducation, updateEducation, getCurrentProfile } from "../../actions/profile";
+import inputDate from "../../utils/inputDate";
+
+// Adds an entry, or edits the one in the route when there is an id
+const AddEducation = ({ profile: { profile }, addEducation, updateEducation, getCurrentProfile, match, history }) => {
+    const editId = match.params.id;
 
-const AddEducation = ({ addEducation, history }) => {
     const [formData, setFormData] = useState({
         school: '',
         degree: '',
@@ -29,12 +33,36 @@ const AddEducation = ({ addEducation, history }) => {
         description
     } = formData;
 
+    // Pre-fill the form with the entry being edited
+    useEffect(() => {
+        if(!editId) return;
+        if(!profile) {
+            getCurrentProfile();
+            return;
+        }
+
+        const entry = profile.education.find(item => item._id === editId);
+        if(entry) {
+            setFormData({
+                school: entry.school || '',
+                degree: entry.degree || '',
+                fieldofstudy: entry.fieldofstudy || '',
+                location: entry.location || '',
+                from: inputDate(entry.from),
+                to: inputDate(entry.to),
+                current: entry.current,
+                description: entry.description || ''
+            });
+            toggleDisabled(entry.current);
+        }
+    }, [editId, profile, getCurrentProfile]);
+
     const onChange = e => setFormData({ ...formData, [e.target.name]: e.target.value });
 
     return (
         <Fragment>
             <h1 className="large text-primary">
-                Add Your Education
+                {editId ? 'Edit Education' : 'Add Your Education'}
             </h1>
             <p className="lead">
                 <i className="fas fa-graduation-cap"></i> Add any school or bootcamp that you have attended
@@ -42,7 +70,11 @@ const AddEducation = ({ addEducation, history }) => {
             <small>* = required field</small>
             <form className="form" onSubmit={e => {
                 e.preventDefault();
-                addEducation(formData, history);
+                if(editId) {
+                    updateEducation(editId, formData, history);
+                } else {
+                    addEducation(formData, history);
+                }
             }}>
                 <div className="form-group">
                     <input type="text" placeholder="* School or Bootcamp" name="school" value={school} onChange={e => onChange(e)} required/>
@@ -91,7 +123,14 @@ const AddEducation = ({ addEducation, history }) => {
 };
 
 AddEducation.propTypes = {
+    profile: PropTypes.object.isRequired,
     addEducation: PropTypes.func.isRequired,
+    updateEducation: PropTypes.func.isRequired,
+    getCurrentProfile: PropTypes.func.isRequired,
 };
 
-export default connect(null, {addEducation})(withRouter(AddEducation));
+const mapStateToProps = state => ({
+    profile: state.profile
+});
+
+export default connect(mapStateToProps, {addEducation, updateEducation, getCurrentProfile})(withRouter(AddEducation));
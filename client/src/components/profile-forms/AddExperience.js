@@ -1,10 +1,14 @@
-import React, {Fragment, useState} from 'react';
+import React, {Fragment, useState, useEffect} from 'react';
 import { Link, withRouter } from "react-router-dom";
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
-import { addExperience } from "../../actions/profile";
+import { addExperience, updateExperience, getCurrentProfile } from "../../actions/profile";
+import inputDate from "../../utils/inputDate";
+
+// Adds an entry, or edits the one in the route when there is an id
+const AddExperience = ({ profile: { profile }, addExperience, updateExperience, getCurrentProfile, match, history }) => {
+    const editId = match.params.id;
 
-const AddExperience = ({ addExperience, history }) => {
     const [formData, setFormData] = useState({
         company: '',
         title: '',
@@ -27,12 +31,35 @@ const AddExperience = ({ addExperience, history }) => {
         description
     } = formData;
 
+    // Pre-fill the form with the entry being edited
+    useEffect(() => {
+        if(!editId) return;
+        if(!profile) {
+            getCurrentProfile();
+            return;
+        }
+
+        const entry = profile.experience.find(item => item._id === editId);
+        if(entry) {
+            setFormData({
+                company: entry.company || '',
+                title: entry.title || '',
+                location: entry.location || '',
+                from: inputDate(entry.from),
+                to: inputDate(entry.to),
+                current: entry.current,
+                description: entry.description || ''
+            });
+            toggleDisabled(entry.current);
+        }
+    }, [editId, profile, getCurrentProfile]);
+
     const onChange = e => setFormData({ ...formData, [e.target.name]: e.target.value });
 
     return (
         <Fragment>
             <h1 className="large text-primary">
-                Add An Experience
+                {editId ? 'Edit Experience' : 'Add An Experience'}
             </h1>
             <p className="lead">
                 <i className="fas fa-code-branch"></i> Add any developer/programming
@@ -41,7 +68,11 @@ const AddExperience = ({ addExperience, history }) => {
             <small>* = required field</small>
             <form className="form" onSubmit={e => {
                 e.preventDefault();
-                addExperience(formData, history);
+                if(editId) {
+                    updateExperience(editId, formData, history);
+                } else {
+                    addExperience(formData, history);
+                }
             }}>
                 <div className="form-group">
                     <input type="text" placeholder="* Job Title" name="title" value={title} onChange={e => onChange(e)} required/>
@@ -84,7 +115,14 @@ const AddExperience = ({ addExperience, history }) => {
 };
 
 AddExperience.propTypes = {
+    profile: PropTypes.object.isRequired,
     addExperience: PropTypes.func.isRequired,
+    updateExperience: PropTypes.func.isRequired,
+    getCurrentProfile: PropTypes.func.isRequired,
 };
 
-export default connect(null, {addExperience})(withRouter(AddExperience));
+const mapStateToProps = state => ({
+    profile: state.profile
+});
+
+export default connect(mapStateToProps, {addExperience, updateExperience, getCurrentProfile})(withRouter(AddExperience));
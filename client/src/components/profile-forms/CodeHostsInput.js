@@ -0,0 +1,56 @@
+import React, { Fragment } from 'react';
+import PropTypes from 'prop-types';
+
+export const CODE_HOSTS = {
+    github: { name: 'GitHub', icon: 'fab fa-github' },
+    gitlab: { name: 'GitLab', icon: 'fab fa-gitlab' },
+    bitbucket: { name: 'Bitbucket', icon: 'fab fa-bitbucket' }
+};
+
+const MAX_CODE_HOSTS = 5;
+
+// Edits the list of code host accounts, a GitLab account may point at a self-hosted instance
+const CodeHostsInput = ({ value, onChange }) => {
+    const update = (index, changes) => onChange(value.map((host, i) => i === index ? { ...host, ...changes } : host));
+
+    return (
+        <Fragment>
+            {value.map((host, index) => (
+                <div key={index} className="code-host-input my-1">
+                    <i className={`${CODE_HOSTS[host.provider].icon} fa-2x`}></i>
+                    <select value={host.provider} onChange={e => update(index, { provider: e.target.value, url: '' })}>
+                        {Object.keys(CODE_HOSTS).map(provider => (
+                            <option key={provider} value={provider}>{CODE_HOSTS[provider].name}</option>
+                        ))}
+                    </select>
+                    <input type="text" placeholder="Username" value={host.username}
+                           onChange={e => update(index, { username: e.target.value })}/>
+                    {host.provider === 'gitlab' && (
+                        <input type="text" placeholder="Self-hosted URL (optional)" value={host.url || ''}
+                               onChange={e => update(index, { url: e.target.value })}/>
+                    )}
+                    <button type="button" className="btn btn-light" title="Remove"
+                            onClick={() => onChange(value.filter((other, i) => i !== index))}>
+                        <i className="fas fa-times"></i>
+                    </button>
+                </div>
+            ))}
+            {value.length < MAX_CODE_HOSTS && (
+                <button type="button" className="btn btn-light"
+                        onClick={() => onChange([...value, { provider: 'gitlab', username: '', url: '' }])}>
+                    Add Code Host
+                </button>
+            )}
+            <small className="form-text">
+                Show repos from GitLab, including self-hosted instances, Bitbucket or more GitHub accounts
+            </small>
+        </Fragment>
+    );
+};
+
+CodeHostsInput.propTypes = {
+    value: PropTypes.array.isRequired,
+    onChange: PropTypes.func.isRequired,
+};
+
+export default CodeHostsInput;
@@ -2,16 +2,19 @@ import React, {useState, Fragment} from 'react';
 import { Link, withRouter } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { connect } from "react-redux";
+import CodeHostsInput from './CodeHostsInput';
 import { createProfile } from "../../actions/profile";
 
-const CreateProfile = ({createProfile, history}) => {
+const CreateProfile = ({createProfile, auth: {user}, history}) => {
     const [formData, setFormData] = useState({
         company: '',
         website: '',
         location: '',
         status: '',
         skills: '',
-        githubusername: '',
+        // Users who signed in with GitHub start with their login filled in
+        githubusername: user && user.github && user.github.login ? user.github.login : '',
+        codeHosts: [],
         bio: '',
         twitter: '',
         facebook: '',
@@ -27,6 +30,7 @@ const CreateProfile = ({createProfile, history}) => {
         status,
         skills,
         githubusername,
+        codeHosts,
         bio,
         twitter,
         facebook,
@@ -114,6 +118,9 @@ const CreateProfile = ({createProfile, history}) => {
                     </small
                     >
                 </div>
+                <div className="form-group">
+                    <CodeHostsInput value={codeHosts} onChange={value => setFormData({...formData, codeHosts: value})}/>
+                </div>
                 <div className="form-group">
                     <textarea placeholder="A short bio of yourself" name="bio" value={bio} onChange={(e) => onChange(e)}></textarea>
                     <small className="form-text">Tell us a little about yourself</small>
@@ -162,6 +169,11 @@ const CreateProfile = ({createProfile, history}) => {
 
 CreateProfile.propTypes = {
     createProfile: PropTypes.func.isRequired,
+    auth: PropTypes.object.isRequired,
 };
 
-export default connect(null, {createProfile})(withRouter(CreateProfile));
+const mapStateToProps = state => ({
+    auth: state.auth
+});
+
+export default connect(mapStateToProps, {createProfile})(withRouter(CreateProfile));
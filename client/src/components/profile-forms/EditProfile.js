@@ -2,6 +2,7 @@ import React, {useState, Fragment, useEffect} from 'react';
 import { Link, withRouter } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { connect } from "react-redux";
+import CodeHostsInput from './CodeHostsInput';
 import { createProfile, getCurrentProfile } from "../../actions/profile";
 
 const EditProfile = ({profile: {profile, loading}, createProfile, getCurrentProfile, history}) => {
@@ -12,6 +13,7 @@ const EditProfile = ({profile: {profile, loading}, createProfile, getCurrentProf
         status: '',
         skills: '',
         githubusername: '',
+        codeHosts: [],
         bio: '',
         twitter: '',
         facebook: '',
@@ -29,6 +31,7 @@ const EditProfile = ({profile: {profile, loading}, createProfile, getCurrentProf
         status,
         skills,
         githubusername,
+        codeHosts,
         bio,
         twitter,
         facebook,
@@ -47,6 +50,7 @@ const EditProfile = ({profile: {profile, loading}, createProfile, getCurrentProf
             status: loading || !profile.status ? '' : profile.status,
             skills: loading || !profile.skills ? '' : profile.skills.join(','),
             githubusername: loading || !profile.githubusername ? '' : profile.githubusername,
+            codeHosts: loading || !profile.codeHosts ? [] : profile.codeHosts.map(({ provider, username, url }) => ({ provider, username, url: url || '' })),
             bio: loading || !profile.bio ? '' : profile.bio,
             twitter: loading || typeof profile.social == "undefined" || !profile.social.twitter ? '' : profile.social.twitter,
             facebook: loading || typeof profile.social == "undefined" || !profile.social.facebook ? '' : profile.social.facebook,
@@ -133,6 +137,9 @@ const EditProfile = ({profile: {profile, loading}, createProfile, getCurrentProf
                     </small
                     >
                 </div>
+                <div className="form-group">
+                    <CodeHostsInput value={codeHosts} onChange={value => setFormData({...formData, codeHosts: value})}/>
+                </div>
                 <div className="form-group">
                     <textarea placeholder="A short bio of yourself" name="bio" value={bio} onChange={(e) => onChange(e)}></textarea>
                     <small className="form-text">Tell us a little about yourself</small>
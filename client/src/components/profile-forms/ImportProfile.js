@@ -0,0 +1,184 @@
+import React, { Fragment, useState } from 'react';
+import { Link, withRouter } from "react-router-dom";
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Moment from 'react-moment';
+import { previewImport, importProfile } from "../../actions/profile";
+
+const FIELD_LABELS = {
+    status: 'Status',
+    company: 'Company',
+    website: 'Website',
+    location: 'Location',
+    bio: 'Bio',
+    githubusername: 'GitHub Username',
+    skills: 'Skills',
+    twitter: 'Twitter',
+    facebook: 'Facebook',
+    linkedin: 'LinkedIn',
+    youtube: 'YouTube',
+    instagram: 'Instagram',
+    devpost: 'Devpost'
+};
+
+// Indexes of the entries not already on the profile
+const newEntries = entries => entries.reduce((indexes, entry, index) => entry.duplicate ? indexes : [...indexes, index], []);
+
+const toggle = (list, item) => list.includes(item) ? list.filter(other => other !== item) : [...list, item];
+
+const Period = ({ entry }) => (
+    <Fragment>
+        <Moment format='YYYY/MM/DD'>{entry.from}</Moment> - {
+            entry.to ? (<Moment format='YYYY/MM/DD'>{entry.to}</Moment>) : ' Now'
+        }
+    </Fragment>
+);
+
+// Reads a JSON Resume or LinkedIn export, shows what would change and only saves once confirmed
+const ImportProfile = ({ previewImport, importProfile, history }) => {
+    const [file, setFile] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [fields, setFields] = useState([]);
+    const [experience, setExperience] = useState([]);
+    const [education, setEducation] = useState([]);
+
+    const onPreview = async e => {
+        e.preventDefault();
+        const result = await previewImport(file);
+        if(result) {
+            setPreview(result);
+            setFields(result.fields.map(change => change.field));
+            setExperience(newEntries(result.experience));
+            setEducation(newEntries(result.education));
+        }
+    };
+
+    const onConfirm = () => {
+        const strip = ({ duplicate, ...entry }) => entry;
+        importProfile({
+            profile: preview.fields
+                .filter(change => fields.includes(change.field))
+                .reduce((profile, change) => ({ ...profile, [change.field]: change.value }), {}),
+            experience: experience.map(index => strip(preview.experience[index])),
+            education: education.map(index => strip(preview.education[index]))
+        }, history);
+    };
+
+    const nothingChosen = fields.length === 0 && experience.length === 0 && education.length === 0;
+
+    const entryRow = (entry, index, chosen, setChosen, title, subtitle) => (
+        <tr key={index} className={entry.duplicate ? 'import-duplicate' : ''}>
+            <td>
+                <input type="checkbox" checked={chosen.includes(index)} disabled={entry.duplicate}
+                       onChange={() => setChosen(toggle(chosen, index))}/>
+            </td>
+            <td>{title}</td>
+            <td className="hide-sm">{subtitle}</td>
+            <td><Period entry={entry}/></td>
+            <td className="hide-sm">{entry.duplicate ? 'Already on profile' : 'New'}</td>
+        </tr>
+    );
+
+    return (
+        <Fragment>
+            <h1 className="large text-primary">Import Profile</h1>
+            <p className="lead">
+                <i className="fas fa-file-import"></i> Fill in your profile from a JSON Resume or a LinkedIn data export
+            </p>
+            <form className="form" onSubmit={e => onPreview(e)}>
+                <div className="form-group">
+                    <input type="file" accept=".json,.csv,.zip" onChange={e => {
+                        setFile(e.target.files[0]);
+                        setPreview(null);
+                    }}/>
+                    <small className="form-text">
+                        A JSON Resume (.json), or from LinkedIn's "Get a copy of your data" the whole .zip or
+                        one of Profile.csv, Positions.csv, Education.csv and Skills.csv
+                    </small>
+                </div>
+                <input type="submit" className="btn btn-primary my-1" value="Preview" disabled={!file}/>
+                <Link className="btn btn-light my-1" to="/dashboard">Go Back</Link>
+            </form>
+
+            {preview && (
+                <div className="import-preview">
+                    <h2 className="my-2">Changes from {preview.source}</h2>
+                    <p>Nothing is saved until you confirm. Untick anything you want to leave as it is.</p>
+
+                    {preview.fields.length > 0 ? (
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th />
+                                    <th>Field</th>
+                                    <th className="hide-sm">Current</th>
+                                    <th>Imported</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {preview.fields.map(change => (
+                                    <tr key={change.field}>
+                                        <td>
+                                            <input type="checkbox" checked={fields.includes(change.field)}
+                                                   onChange={() => setFields(toggle(fields, change.field))}/>
+                                        </td>
+                                        <td>{FIELD_LABELS[change.field] || change.field}</td>
+                                        <td className="hide-sm import-current">{change.current || <em>empty</em>}</td>
+                                        <td>{change.imported}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <p>Your profile details already match.</p>
+                    )}
+
+                    {preview.experience.length > 0 && (
+                        <Fragment>
+                            <h3 className="my-1">Experience</h3>
+                            <table className="table">
+                                <tbody>
+                                    {preview.experience.map((exp, index) =>
+                                        entryRow(exp, index, experience, setExperience, exp.company, exp.title))}
+                                </tbody>
+                            </table>
+                        </Fragment>
+                    )}
+
+                    {preview.education.length > 0 && (
+                        <Fragment>
+                            <h3 className="my-1">Education</h3>
+                            <table className="table">
+                                <tbody>
+                                    {preview.education.map((edu, index) =>
+                                        entryRow(edu, index, education, setEducation, edu.school, `${edu.degree}, ${edu.fieldofstudy}`))}
+                                </tbody>
+                            </table>
+                        </Fragment>
+                    )}
+
+                    {preview.skipped.length > 0 && (
+                        <div className="my-1">
+                            <h3>Not imported</h3>
+                            <ul className="import-skipped">
+                                {preview.skipped.map((reason, index) => <li key={index}>{reason}</li>)}
+                            </ul>
+                        </div>
+                    )}
+
+                    <button className="btn btn-primary my-1" onClick={onConfirm} disabled={nothingChosen}>
+                        Confirm Import
+                    </button>
+                    <button className="btn btn-light my-1" onClick={() => setPreview(null)}>Cancel</button>
+                </div>
+            )}
+        </Fragment>
+    )
+};
+
+ImportProfile.propTypes = {
+    previewImport: PropTypes.func.isRequired,
+    importProfile: PropTypes.func.isRequired,
+};
+
+export default connect(null, {previewImport, importProfile})(withRouter(ImportProfile));
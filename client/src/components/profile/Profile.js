@@ -3,14 +3,14 @@ import {Link} from "react-router-dom";
 import PropTypes from 'prop-types';
 import {connect} from "react-redux";
 import Spinner from '../layout/Spinner';
-import { getProfileByID } from "../../actions/profile";
+import { getProfileByID, downloadResume } from "../../actions/profile";
 import ProfileTop from './ProfileTop';
 import ProfileAbout from './ProfileAbout';
 import ProfileExperience from './ProfileExperience';
 import ProfileEducation from './ProfileEducation';
-import ProfileGithub from './ProfileGithub';
+import ProfileRepos from './ProfileRepos';
 
-const Profile = ({getProfileByID, profile: {profile, loading}, auth, match}) => {
+const Profile = ({getProfileByID, downloadResume, profile: {profile, loading}, auth, match}) => {
     useEffect(() => {
         getProfileByID(match.params.id);
     }, [getProfileByID, match]);
@@ -22,6 +22,12 @@ const Profile = ({getProfileByID, profile: {profile, loading}, auth, match}) =>
                     Back to Profiles
                 </Link>
                 {auth.isAuthenticated && auth.loading === false && auth.user._id === profile.user._id && (<Link to='/edit-profile' className='btn btn-dark'>Edit Profile</Link>)}
+                <button type="button" className='btn btn-light' onClick={() => downloadResume(profile.user._id)}>
+                    <i className="fas fa-file-pdf"></i> Download Résumé
+                </button>
+                <button type="button" className='btn btn-light' title="JSON Resume" onClick={() => downloadResume(profile.user._id, 'json')}>
+                    <i className="fas fa-file-code"></i> JSON
+                </button>
                 <div className="profile-grid my-1">
                     <ProfileTop profile={profile} />
                     <ProfileAbout profile={profile} />
@@ -42,8 +48,8 @@ const Profile = ({getProfileByID, profile: {profile, loading}, auth, match}) =>
                         </Fragment>) : (<h4>No experience credentials</h4>)}
                     </div>
 
-                    {profile.githubusername && (
-                        <ProfileGithub username={profile.githubusername}/>
+                    {(profile.githubusername || (profile.codeHosts && profile.codeHosts.length > 0)) && (
+                        <ProfileRepos profile={profile}/>
                     )}
                 </div>
             </Fragment>}
@@ -54,6 +60,7 @@ const Profile = ({getProfileByID, profile: {profile, loading}, auth, match}) =>
 
 Profile.propTypes = {
     getProfileByID: PropTypes.func.isRequired,
+    downloadResume: PropTypes.func.isRequired,
     profile: PropTypes.object.isRequired,
     auth: PropTypes.object.isRequired,
 };
@@ -63,4 +70,4 @@ const mapStateToProps = state => ({
     auth: state.auth
 });
 
-export default connect(mapStateToProps, { getProfileByID })(Profile);
+export default connect(mapStateToProps, { getProfileByID, downloadResume })(Profile);
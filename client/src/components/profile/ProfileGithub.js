@@ -1,57 +1,73 @@
-import React, {useEffect} from 'react';
+import React, {Fragment} from 'react';
 import PropTypes from 'prop-types';
-import {connect} from "react-redux";
-import Spinner from '../layout/Spinner';
-import {getGithubRepos} from "../../actions/profile";
+import Moment from 'react-moment';
+import RepoItem from './RepoItem';
+import languageColor from "../../utils/languageColor";
 
-const ProfileGithub = ({username, getGithubRepos, repos}) => {
-    useEffect(() => {
-        getGithubRepos(username)
-    }, [getGithubRepos, username]);
+const Languages = ({ languages }) => (
+    <div className="github-languages bg-white p-1 my-1">
+        <h4>Languages</h4>
+        <div className="language-bar">
+            {languages.map(language => (
+                <span key={language.name} title={`${language.name} ${language.percent}%`}
+                      style={{ width: `${language.percent}%`, background: languageColor(language.name) }}/>
+            ))}
+        </div>
+        <ul className="language-legend">
+            {languages.map(language => (
+                <li key={language.name}>
+                    <span className="language-dot" style={{ background: languageColor(language.name) }}/>
+                    {language.name} <span className="text-muted">{language.percent}%</span>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+const Activity = ({ activity }) => (
+    <div className="github-activity bg-white p-1 my-1">
+        <h4>Activity since <Moment format='YYYY/MM/DD'>{activity.since}</Moment></h4>
+        <ul className="activity-stats">
+            <li><strong>{activity.commits}</strong> commits</li>
+            <li><strong>{activity.pullRequests}</strong> pull requests</li>
+            <li><strong>{activity.issues}</strong> issues</li>
+            <li><strong>{activity.reviews}</strong> reviews</li>
+            <li><strong>{activity.reposCreated}</strong> new repos</li>
+        </ul>
+        {activity.recent.length > 0 && (
+            <ul className="activity-recent">
+                {activity.recent.map((event, index) => (
+                    <li key={index}>
+                        {event.title} in <a href={event.url} target='_blank' rel='noopener noreferrer'>{event.repo}</a>
+                        {' '}<Moment className="text-muted" fromNow>{event.date}</Moment>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
+
+// Language breakdown, activity and top repos from the stored GitHub summary
+const ProfileGithub = ({summary}) => {
+    const pinned = summary.topRepos.some(repo => repo.pinned);
 
     return (
-        <div className="profile-github">
-            {repos.length > 0 && <h2 className="text-primary my-1">Github Repos</h2>}
-            {repos === null ? <Spinner/> : (
-                repos.map(repo => (
-                    <div key={repo._id} className='repo bg-white p-1 my-1'>
-                        <div>
-                            <h4>
-                                <a href={repo.html_url} target='_blank' rel='noopener noreferrer'>
-                                    {repo.name}
-                                </a>
-                            </h4>
-                            <p>{repo.description}</p>
-                        </div>
-                        <div>
-                            <ul>
-                                <li className="badge badge-primary">
-                                    Stars: {repo.stargazers_count}
-                                </li>
-                                <li className="badge badge-dark">
-                                    Watchers: {repo.watchers_count}
-                                </li>
-                                <li className="badge badge-light">
-                                    Forks: {repo.forks_count}
-                                </li>
-                            </ul>
-                        </div>
-                    </div>
-                ))
+        <div className="github-summary">
+            {summary.languages.length > 0 && <Languages languages={summary.languages}/>}
+            {summary.activity && <Activity activity={summary.activity}/>}
+            {summary.topRepos.length > 0 && (
+                <Fragment>
+                    <h3 className="my-1">{pinned ? 'Pinned Repos' : 'Top Repos'}</h3>
+                    {summary.topRepos.map(repo => <RepoItem key={repo.name} repo={repo}/>)}
+                </Fragment>
             )}
+            <small className="text-muted">Summary updated <Moment fromNow>{summary.refreshedAt}</Moment></small>
         </div>
-    )
+    );
 };
 
-
 ProfileGithub.propTypes = {
-    getGithubRepos: PropTypes.func.isRequired,
-    repos: PropTypes.array.isRequired,
-    username: PropTypes.string.isRequired,
+    summary: PropTypes.object.isRequired,
 };
 
-const mapStateToProps = state => ({
-    repos: state.profile.repos
-});
-
-export default connect(mapStateToProps, { getGithubRepos })(ProfileGithub);
+export default ProfileGithub;
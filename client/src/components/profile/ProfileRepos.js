@@ -0,0 +1,68 @@
+import React, {Fragment, useEffect, useState} from 'react';
+import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import {getRepos} from "../../actions/profile";
+import {CODE_HOSTS} from "../profile-forms/CodeHostsInput";
+import ProfileGithub from './ProfileGithub';
+import RepoItem from './RepoItem';
+
+// Tabs per code host account, a GitHub account with a summary shows it above its repos
+const ProfileRepos = ({ profile, getRepos, hosts }) => {
+    const [active, setActive] = useState(0);
+    const userId = profile.user._id;
+
+    useEffect(() => {
+        getRepos(userId);
+        setActive(0);
+    }, [getRepos, userId]);
+
+    const host = hosts[active];
+    const summary = profile.githubSummary;
+
+    return (
+        <div className="profile-github">
+            {hosts.length > 0 && <Fragment>
+                <h2 className="text-primary my-1">Repos</h2>
+                {hosts.length > 1 && (
+                    <div className="repo-tabs">
+                        {hosts.map((tab, index) => (
+                            <button key={index} type="button" className={`btn ${index === active ? 'btn-dark' : 'btn-light'}`}
+                                    onClick={() => setActive(index)}>
+                                <i className={CODE_HOSTS[tab.provider].icon}></i> {tab.username}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                {host && <Fragment>
+                    <p className="my-1">
+                        <a href={host.profileUrl || '#!'} target='_blank' rel='noopener noreferrer'>
+                            <i className={CODE_HOSTS[host.provider].icon}></i> {host.username} on {CODE_HOSTS[host.provider].name}
+                        </a>
+                    </p>
+                    {host.provider === 'github' && summary && summary.refreshedAt
+                        && summary.username && summary.username.toLowerCase() === host.username.toLowerCase() && (
+                        <ProfileGithub summary={summary}/>
+                    )}
+                    {host.error ? <p className="text-muted">{host.error}</p> : (
+                        host.repos.length > 0 ? <Fragment>
+                            <h3 className="my-1">Latest Repos</h3>
+                            {host.repos.map(repo => <RepoItem key={repo.id} repo={repo}/>)}
+                        </Fragment> : <p className="text-muted">No public repos</p>
+                    )}
+                </Fragment>}
+            </Fragment>}
+        </div>
+    );
+};
+
+ProfileRepos.propTypes = {
+    getRepos: PropTypes.func.isRequired,
+    hosts: PropTypes.array.isRequired,
+    profile: PropTypes.object.isRequired,
+};
+
+const mapStateToProps = state => ({
+    hosts: state.profile.repos
+});
+
+export default connect(mapStateToProps, { getRepos })(ProfileRepos);
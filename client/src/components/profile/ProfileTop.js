@@ -1,14 +1,24 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import {Link} from "react-router-dom";
+import {follow, unfollow} from "../../actions/profile";
+import ReportButton from "../reports/ReportButton";
 
 const ProfileTop = ({profile: {
+    _id: profileId,
     status,
     company,
     location,
     website,
     social,
-    user: {name, avatar}
-}}) => {
+    followers,
+    followingCount,
+    user: {_id, name, avatar}
+}, auth, follow, unfollow}) => {
+    const isOwnProfile = auth.user !== null && auth.user._id === _id;
+    const isFollowing = auth.user !== null && followers.some(follower => follower.user === auth.user._id);
+
     return (
         <div className="profile-top bg-primary p-2">
             <img
@@ -19,6 +29,29 @@ const ProfileTop = ({profile: {
             <h1 className="large">{name}</h1>
             <p className="lead">{status} {company && <span> at {company}</span>}</p>
             <p>{location}</p>
+            <p className="follow-counts">
+                <span><strong>{followers.length}</strong> follower{followers.length !== 1 && 's'}</span>
+                <span><strong>{followingCount}</strong> following</span>
+            </p>
+            {auth.isAuthenticated && !isOwnProfile && (
+                isFollowing ? (
+                    <button type="button" className="btn btn-light my-1" onClick={() => unfollow(_id)}>
+                        <i className="fas fa-user-minus"></i> Unfollow
+                    </button>
+                ) : (
+                    <button type="button" className="btn btn-dark my-1" onClick={() => follow(_id)}>
+                        <i className="fas fa-user-plus"></i> Follow
+                    </button>
+                )
+            )}
+            {auth.isAuthenticated && !isOwnProfile && (
+                <Link to={`/messages/${_id}`} className="btn btn-light my-1">
+                    <i className="fas fa-envelope"></i> Message
+                </Link>
+            )}
+            {auth.isAuthenticated && !isOwnProfile && (
+                <ReportButton targetType="profile" target={profileId} className="btn btn-light my-1"/>
+            )}
             <div className="icons my-1">
                 {
                     website && (
@@ -60,7 +93,13 @@ const ProfileTop = ({profile: {
 
 ProfileTop.propTypes = {
     profile: PropTypes.object.isRequired,
-
+    auth: PropTypes.object.isRequired,
+    follow: PropTypes.func.isRequired,
+    unfollow: PropTypes.func.isRequired,
 };
 
-export default ProfileTop;
+const mapStateToProps = state => ({
+    auth: state.auth
+});
+
+export default connect(mapStateToProps, {follow, unfollow})(ProfileTop);
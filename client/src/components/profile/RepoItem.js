@@ -0,0 +1,31 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Moment from 'react-moment';
+
+// A repo in the shape the API normalizes every code host to
+const RepoItem = ({ repo }) => (
+    <div className='repo bg-white p-1 my-1'>
+        <div>
+            <h4>
+                <a href={repo.url} target='_blank' rel='noopener noreferrer'>
+                    {repo.name}
+                </a>
+            </h4>
+            <p>{repo.description}</p>
+            {repo.updatedAt && <small className="text-muted">Updated <Moment fromNow>{repo.updatedAt}</Moment></small>}
+        </div>
+        <div>
+            <ul>
+                {repo.stars != null && <li className="badge badge-primary">Stars: {repo.stars}</li>}
+                {repo.forks != null && <li className="badge badge-dark">Forks: {repo.forks}</li>}
+                {repo.language && <li className="badge badge-light">{repo.language}</li>}
+            </ul>
+        </div>
+    </div>
+);
+
+RepoItem.propTypes = {
+    repo: PropTypes.object.isRequired,
+};
+
+export default RepoItem;
@@ -0,0 +1,75 @@
+import React, {useState, useEffect} from 'react';
+import PropTypes from 'prop-types';
+
+const emptyFilters = {
+    skills: '',
+    location: '',
+    status: '',
+    company: '',
+    sort: ''
+};
+
+const ProfileFilters = ({filters, onApply}) => {
+    const [formData, setFormData] = useState({...emptyFilters, ...filters});
+
+    // Keep the form in step with the URL, e.g. on back/forward navigation
+    useEffect(() => {
+        setFormData({...emptyFilters, ...filters});
+    }, [filters]);
+
+    const {skills, location, status, company, sort} = formData;
+
+    const onChange = e => setFormData({...formData, [e.target.name]: e.target.value});
+
+    return (
+        <form className="form profile-filters bg-light p-1" onSubmit={e => {
+            e.preventDefault();
+            onApply(formData);
+        }}>
+            <h3 className="text-primary">Filter</h3>
+            <div className="form-group">
+                <input type="text" placeholder="Skills" name="skills" value={skills} onChange={e => onChange(e)}/>
+                <small className="form-text">Comma separated, matches all (eg. React,Node)</small>
+            </div>
+            <div className="form-group">
+                <input type="text" placeholder="Location" name="location" value={location} onChange={e => onChange(e)}/>
+            </div>
+            <div className="form-group">
+                <select name="status" value={status} onChange={e => onChange(e)}>
+                    <option value="">Any Status</option>
+                    <option value="Developer">Developer</option>
+                    <option value="Junior Developer">Junior Developer</option>
+                    <option value="Senior Developer">Senior Developer</option>
+                    <option value="Manager">Manager</option>
+                    <option value="Student or Learning">Student or Learning</option>
+                    <option value="Instructor">Instructor or Teacher</option>
+                    <option value="Intern">Intern</option>
+                    <option value="Other">Other</option>
+                </select>
+            </div>
+            <div className="form-group">
+                <input type="text" placeholder="Company" name="company" value={company} onChange={e => onChange(e)}/>
+            </div>
+            <div className="form-group">
+                <select name="sort" value={sort} onChange={e => onChange(e)}>
+                    <option value="">Newest</option>
+                    <option value="oldest">Oldest</option>
+                    <option value="status">Status</option>
+                    <option value="company">Company</option>
+                    <option value="location">Location</option>
+                </select>
+            </div>
+            <input type="submit" className="btn btn-primary" value="Apply"/>
+            <button type="button" className="btn btn-light" onClick={() => onApply(emptyFilters)}>
+                Clear
+            </button>
+        </form>
+    )
+};
+
+ProfileFilters.propTypes = {
+    filters: PropTypes.object.isRequired,
+    onApply: PropTypes.func.isRequired,
+};
+
+export default ProfileFilters;
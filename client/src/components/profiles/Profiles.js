@@ -1,30 +1,62 @@
-import React, {Fragment, useEffect} from 'react';
+import React, {Fragment, useEffect, useMemo} from 'react';
 import PropTypes from 'prop-types';
 import {connect} from "react-redux";
 import Spinner from '../layout/Spinner';
 import ProfileItem from './ProfileItem';
+import ProfileFilters from './ProfileFilters';
 import {getProfiles} from "../../actions/profile";
+import {parseQuery, buildQuery} from "../../utils/queryString";
+
+const Profiles = ({getProfiles, profile: {profiles, profilesPage, profilesPages, profilesTotal, loading}, location, history}) => {
+    // The query string is the source of truth so searches can be shared
+    const filters = useMemo(() => parseQuery(location.search), [location.search]);
 
-const Profiles = ({getProfiles, profile: {profiles, loading}}) => {
     useEffect(() => {
-        getProfiles();
-    }, [getProfiles]);
+        getProfiles(filters);
+    }, [getProfiles, filters]);
+
+    const goTo = query => history.push({ search: buildQuery(query) });
 
     return (
         <Fragment>
-            { loading ? <Spinner/> : <Fragment>
-                <h1 className="large text-primary">Developers</h1>
-                <p className="load py-1">
-                    <i className="fab fa-connectdevelop"></i> Browse and connect with developers
-                </p>
-                <div className="profiles">
+            <h1 className="large text-primary">Developers</h1>
+            <p className="load py-1">
+                <i className="fab fa-connectdevelop"></i> Browse and connect with developers
+            </p>
+            <div className="profiles-layout">
+                <ProfileFilters filters={filters} onApply={formData => goTo({...formData, page: ''})} />
+                { loading ? <Spinner/> : <div className="profiles">
                     {profiles.length > 0 ? (
-                        profiles.map(profile => (
-                            <ProfileItem key={profile._id} profile={profile} />
-                        ))
+                        <Fragment>
+                            <p>{profilesTotal} developer{profilesTotal !== 1 && 's'} found</p>
+                            {profiles.map(profile => (
+                                <ProfileItem key={profile._id} profile={profile} />
+                            ))}
+                            {profilesPages > 1 && (
+                                <div className="pagination my-1">
+                                    <button
+                                        type="button"
+                                        className="btn btn-light"
+                                        disabled={profilesPage <= 1}
+                                        onClick={() => goTo({...filters, page: profilesPage - 1})}
+                                    >
+                                        Previous
+                                    </button>
+                                    <span>Page {profilesPage} of {profilesPages}</span>
+                                    <button
+                                        type="button"
+                                        className="btn btn-light"
+                                        disabled={profilesPage >= profilesPages}
+                                        onClick={() => goTo({...filters, page: profilesPage + 1})}
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            )}
+                        </Fragment>
                     ) : <h4>No profiles found...</h4>}
-                </div>
-            </Fragment>}
+                </div>}
+            </div>
         </Fragment>
     )
 };
@@ -0,0 +1,73 @@
+import React, {Fragment, useState} from 'react';
+import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import {reportContent} from "../../actions/report";
+
+const REASONS = {
+    spam: 'Spam',
+    harassment: 'Harassment',
+    inappropriate: 'Inappropriate content',
+    other: 'Something else'
+};
+
+const ReportButton = ({targetType, target, post, className, reportContent}) => {
+    const [open, setOpen] = useState(false);
+    const [formData, setFormData] = useState({
+        reason: 'spam',
+        details: ''
+    });
+
+    const {reason, details} = formData;
+
+    const onChange = e => setFormData({ ...formData, [e.target.name]: e.target.value });
+
+    const onSubmit = async e => {
+        e.preventDefault();
+        if(await reportContent({ targetType, target, post, reason, details })) {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <Fragment>
+            <button type="button" className={className} title="Report" onClick={() => setOpen(!open)}>
+                <i className="fas fa-flag"></i>
+            </button>
+            {open && (
+                <form className="form report-form bg-light p-1 my-1" onSubmit={e => onSubmit(e)}>
+                    <div className="form-group">
+                        <select name="reason" value={reason} onChange={e => onChange(e)}>
+                            {Object.keys(REASONS).map(key => <option key={key} value={key}>{REASONS[key]}</option>)}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <textarea
+                            name="details"
+                            rows="2"
+                            maxLength="500"
+                            placeholder="Anything a moderator should know (optional)"
+                            value={details}
+                            onChange={e => onChange(e)}
+                        />
+                    </div>
+                    <input type="submit" className="btn btn-danger" value="Report"/>
+                    <button type="button" className="btn btn-light" onClick={() => setOpen(false)}>Cancel</button>
+                </form>
+            )}
+        </Fragment>
+    )
+};
+
+ReportButton.defaultProps = {
+    className: 'btn btn-light'
+};
+
+ReportButton.propTypes = {
+    targetType: PropTypes.oneOf(['post', 'comment', 'profile']).isRequired,
+    target: PropTypes.string.isRequired,
+    post: PropTypes.string,
+    className: PropTypes.string,
+    reportContent: PropTypes.func.isRequired
+};
+
+export default connect(null, {reportContent})(ReportButton);
@@ -0,0 +1,94 @@
+import React, {Fragment, useEffect, useState} from 'react';
+import PropTypes from 'prop-types';
+import {connect} from "react-redux";
+import {Link} from "react-router-dom";
+import Moment from 'react-moment';
+import Spinner from '../layout/Spinner';
+import {getReports, handleReport} from "../../actions/report";
+
+const STATUSES = ['open', 'actioned', 'dismissed'];
+
+// Where the reported content can be looked at
+const contentLink = report => {
+    switch(report.targetType) {
+        case 'post':
+            return `/posts/${report.target}`;
+        case 'comment':
+            return `/posts/${report.post}`;
+        default:
+            return report.author && `/profile/${report.author._id}`;
+    }
+};
+
+const ReportQueue = ({getReports, handleReport, report: {reports, loading}}) => {
+    const [status, setStatus] = useState('open');
+
+    useEffect(() => {
+        getReports(status);
+    }, [getReports, status]);
+
+    return (
+        <Fragment>
+            <h1 className="large text-primary">Reports</h1>
+            <p className="lead">
+                <i className="fas fa-flag"></i> Review content users have reported
+            </p>
+            <div className="feed-toggle">
+                {STATUSES.map(key => (
+                    <button
+                        key={key}
+                        type="button"
+                        className={`btn ${status === key ? 'btn-primary' : 'btn-light'}`}
+                        onClick={() => setStatus(key)}
+                    >
+                        {key.charAt(0).toUpperCase() + key.slice(1)}
+                    </button>
+                ))}
+            </div>
+            { loading ? <Spinner/> : (
+                reports.length > 0 ? reports.map(report => (
+                    <div key={report._id} className="report bg-white p-1 my-1">
+                        <p>
+                            <strong>{report.reason}</strong> report on a {report.targetType}
+                            {report.author && <Fragment> by {report.author.name}</Fragment>}
+                            {report.reporter && <Fragment>, from {report.reporter.name}</Fragment>}
+                            {' '}on <Moment format='YYYY/MM/DD'>{report.date}</Moment>
+                        </p>
+                        {report.details && <p className="report-details">"{report.details}"</p>}
+                        <blockquote className="report-content my-1">{report.content}</blockquote>
+                        {report.handledBy && (
+                            <p className="post-date">
+                                {report.status} by {report.handledBy.name} on <Moment format='YYYY/MM/DD'>{report.handledDate}</Moment>
+                            </p>
+                        )}
+                        {contentLink(report) && (
+                            <Link to={contentLink(report)} className="btn btn-light">View</Link>
+                        )}
+                        {report.status === 'open' && (
+                            <Fragment>
+                                <button type="button" className="btn btn-danger" onClick={() => handleReport(report._id, 'actioned')}>
+                                    Keep Hidden
+                                </button>
+                                <button type="button" className="btn btn-light" onClick={() => handleReport(report._id, 'dismissed')}>
+                                    Dismiss
+                                </button>
+                            </Fragment>
+                        )}
+                    </div>
+                )) : <h4>No {status} reports</h4>
+            )}
+        </Fragment>
+    )
+};
+
+ReportQueue.propTypes = {
+    getReports: PropTypes.func.isRequired,
+    handleReport: PropTypes.func.isRequired,
+    report: PropTypes.object.isRequired
+};
+
+const mapStateToProps = state => ({
+    report: state.report
+});
+
+export default connect(mapStateToProps, {getReports, handleReport})(ReportQueue);
@@ -0,0 +1,26 @@
+import React from 'react';
+import { Route, Redirect} from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Spinner from '../layout/Spinner';
+import { hasRole } from '../../utils/roles';
+
+// PrivateRoute that also needs the user to have at least the given role
+const RoleRoute = ({ component: Component, role, auth: {isAuthenticated, loading, user}, ...rest }) => (
+    <Route {...rest} render={props => {
+        if(!isAuthenticated && !loading) return <Redirect to='/login'/>;
+        if(!user) return <Spinner/>;
+        return hasRole(user, role) ? <Component {...props}/> : <Redirect to='/dashboard'/>;
+    }} />
+);
+
+RoleRoute.propTypes = {
+    role: PropTypes.string.isRequired,
+    auth: PropTypes.object.isRequired
+};
+
+const mapStateToProps = state => ({
+    auth: state.auth
+});
+
+export default connect(mapStateToProps)(RoleRoute);
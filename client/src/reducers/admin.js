@@ -0,0 +1,47 @@
+import {
+    GET_ADMIN_USERS,
+    UPDATE_ADMIN_USER,
+    ADMIN_ERROR,
+    LOGOUT
+} from '../actions/types';
+
+const initialState = {
+    users: [],
+    page: 1,
+    pages: 0,
+    total: 0,
+    loading: true,
+    error: {}
+};
+
+export default function (state = initialState, action) {
+    const {type, payload} = action;
+
+    switch (type) {
+        case GET_ADMIN_USERS:
+            return {
+                ...state,
+                users: payload.users,
+                page: payload.page,
+                pages: payload.pages,
+                total: payload.total,
+                loading: false
+            };
+        case UPDATE_ADMIN_USER:
+            return {
+                ...state,
+                users: state.users.map(user => user._id === payload._id ? payload : user),
+                loading: false
+            };
+        case ADMIN_ERROR:
+            return {
+                ...state,
+                error: payload,
+                loading: false
+            };
+        case LOGOUT:
+            return initialState;
+        default:
+            return state;
+    }
+}
@@ -6,12 +6,20 @@ import {
     LOGIN_SUCCESS,
     LOGIN_FAIL,
     LOGOUT,
-    ACCOUNT_DELETED
+    TOKEN_REFRESHED,
+    EMAIL_VERIFIED,
+    TWO_FACTOR_REQUIRED,
+    TWO_FACTOR_UPDATED,
+    ACCOUNT_DELETED,
+    ACCOUNT_RESTORED
 } from "../actions/types";
 
 const initialState = {
     token: localStorage.getItem('token'),
+    refreshToken: localStorage.getItem('refreshToken'),
     isAuthenticated: null,
+    // Interim token while waiting for the second login step
+    twoFactorToken: null,
     loading: true,
     user: null
 };
@@ -29,23 +37,50 @@ export default function (state = initialState, action) {
             };
         case REGISTER_SUCCESS:
         case LOGIN_SUCCESS:
+        case TOKEN_REFRESHED:
             localStorage.setItem('token', payload.token);
+            localStorage.setItem('refreshToken', payload.refreshToken);
             return {
                 ...state,
                 ...payload,
+                twoFactorToken: null,
                 isAuthenticated: true,
                 loading: false
             };
+        case TWO_FACTOR_REQUIRED:
+            return {
+                ...state,
+                twoFactorToken: payload,
+                loading: false
+            };
+        case ACCOUNT_RESTORED:
+            return {
+                ...state,
+                user: state.user && { ...state.user, deleteAfter: undefined }
+            };
+        case TWO_FACTOR_UPDATED:
+            return {
+                ...state,
+                user: state.user && { ...state.user, twoFactor: { ...state.user.twoFactor, enabled: payload } }
+            };
+        case EMAIL_VERIFIED:
+            return {
+                ...state,
+                user: state.user && { ...state.user, verified: true }
+            };
         case REGISTER_FAIL:
         case AUTH_ERROR:
         case LOGIN_FAIL:
         case LOGOUT:
         case ACCOUNT_DELETED:
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             return {
                 ...state,
                 user: null,
                 token: null,
+                refreshToken: null,
+                twoFactorToken: null,
                 isAuthenticated: false,
                 loading: false
             };
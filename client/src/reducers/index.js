@@ -3,10 +3,18 @@ import alert from './alert';
 import auth from './auth';
 import profile from './profile';
 import post from './post';
+import message from './message';
+import notification from './notification';
+import admin from './admin';
+import report from './report';
 
 export default combineReducers({
     alert,
     auth,
     profile,
-    post
+    post,
+    message,
+    notification,
+    admin,
+    report
 });
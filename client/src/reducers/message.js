@@ -0,0 +1,54 @@
+import {
+    GET_CONVERSATIONS,
+    GET_THREAD,
+    SEND_MESSAGE,
+    MESSAGES_READ,
+    MESSAGE_ERROR
+} from '../actions/types';
+
+const initialState = {
+    conversations: [],
+    thread: null,
+    loading: true,
+    error: {}
+};
+
+export default function (state = initialState, action) {
+    const {type, payload} = action;
+
+    switch (type) {
+        case GET_CONVERSATIONS:
+            return {
+                ...state,
+                conversations: payload,
+                loading: false
+            };
+        case GET_THREAD:
+            return {
+                ...state,
+                thread: payload,
+                loading: false
+            };
+        case SEND_MESSAGE:
+            return {
+                ...state,
+                thread: { ...state.thread, messages: [...state.thread.messages, payload] },
+                loading: false
+            };
+        case MESSAGES_READ:
+            return {
+                ...state,
+                conversations: state.conversations.map(conversation =>
+                    conversation.user._id === payload ? { ...conversation, unread: 0 } : conversation),
+                loading: false
+            };
+        case MESSAGE_ERROR:
+            return {
+                ...state,
+                error: payload,
+                loading: false
+            };
+        default:
+            return state;
+    }
+}
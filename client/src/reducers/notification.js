@@ -0,0 +1,60 @@
+import {
+    GET_NOTIFICATIONS,
+    ADD_NOTIFICATION,
+    NOTIFICATION_READ,
+    NOTIFICATIONS_READ,
+    NOTIFICATION_ERROR,
+    LOGOUT
+} from '../actions/types';
+
+const initialState = {
+    notifications: [],
+    unreadCount: 0,
+    loading: true,
+    error: {}
+};
+
+export default function (state = initialState, action) {
+    const {type, payload} = action;
+
+    switch (type) {
+        case GET_NOTIFICATIONS:
+            return {
+                ...state,
+                notifications: payload.notifications,
+                unreadCount: payload.unreadCount,
+                loading: false
+            };
+        case ADD_NOTIFICATION:
+            return {
+                ...state,
+                notifications: [payload, ...state.notifications],
+                unreadCount: state.unreadCount + 1,
+                loading: false
+            };
+        case NOTIFICATION_READ:
+            return {
+                ...state,
+                notifications: state.notifications.map(notification => notification._id === payload._id ? payload : notification),
+                unreadCount: Math.max(0, state.unreadCount - (state.notifications.some(notification => notification._id === payload._id && !notification.read) ? 1 : 0)),
+                loading: false
+            };
+        case NOTIFICATIONS_READ:
+            return {
+                ...state,
+                notifications: state.notifications.map(notification => ({ ...notification, read: true })),
+                unreadCount: 0,
+                loading: false
+            };
+        case NOTIFICATION_ERROR:
+            return {
+                ...state,
+                error: payload,
+                loading: false
+            };
+        case LOGOUT:
+            return initialState;
+        default:
+            return state;
+    }
+}
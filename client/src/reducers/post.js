@@ -1,16 +1,27 @@
 import {
     GET_POSTS,
+    GET_MORE_POSTS,
+    POSTS_LOADING_MORE,
+    SEARCH_POSTS,
+    CLEAR_SEARCH,
     GET_POST,
+    UPDATE_POST,
     POST_ERROR,
     UPDATE_LIKES,
     DELETE_POST,
     ADD_POST,
     ADD_COMMENT,
+    UPDATE_COMMENT,
     REMOVE_COMMENT
 } from '../actions/types';
 
 const initialState = {
     posts: [],
+    feed: 'everyone',
+    nextCursor: null,
+    loadingMore: false,
+    searchQuery: '',
+    searchResults: null,
     post: null,
     loading: true,
     error: {}
@@ -23,9 +34,37 @@ export default function (state = initialState, action) {
         case GET_POSTS:
             return {
                 ...state,
-                posts: payload,
+                posts: payload.posts,
+                feed: payload.feed,
+                nextCursor: payload.nextCursor,
                 loading: false
             };
+        case POSTS_LOADING_MORE:
+            return {
+                ...state,
+                loadingMore: true
+            };
+        case GET_MORE_POSTS:
+            return {
+                ...state,
+                posts: [...state.posts, ...payload.posts],
+                nextCursor: payload.nextCursor,
+                loadingMore: false,
+                loading: false
+            };
+        case SEARCH_POSTS:
+            return {
+                ...state,
+                searchQuery: payload.query,
+                searchResults: payload.results,
+                loading: false
+            };
+        case CLEAR_SEARCH:
+            return {
+                ...state,
+                searchQuery: '',
+                searchResults: null
+            };
         case GET_POST:
             return {
                 ...state,
@@ -35,40 +74,59 @@ export default function (state = initialState, action) {
         case ADD_POST:
             return {
                 ...state,
-                posts: [payload, ...state.posts],
+                // Own posts arrive both from the API response and the live update
+                posts: state.posts.some(post => post._id === payload._id) ? state.posts : [payload, ...state.posts],
+                loading: false
+            };
+        case UPDATE_POST:
+            return {
+                ...state,
+                posts: state.posts.map(post => post._id === payload._id ? payload : post),
+                searchResults: state.searchResults && state.searchResults.map(post => post._id === payload._id ? {...payload, highlights: post.highlights } : post),
+                post: state.post && state.post._id === payload._id ? payload : state.post,
                 loading: false
             };
         case DELETE_POST:
             return {
                 ...state,
                 posts: state.posts.filter(post => post._id !== payload),
+                searchResults: state.searchResults && state.searchResults.filter(post => post._id !== payload),
                 loading: false
             };
         case POST_ERROR:
             return {
                 ...state,
                 error: payload,
-                loading: false
+                loading: false,
+                loadingMore: false
             };
         case UPDATE_LIKES:
             return {
                 ...state,
                 posts: state.posts.map(post => post._id === payload.postId ? {...post, likes: payload.likes } : post),
+                searchResults: state.searchResults && state.searchResults.map(post => post._id === payload.postId ? {...post, likes: payload.likes } : post),
+                post: state.post && state.post._id === payload.postId ? {...state.post, likes: payload.likes } : state.post,
                 loading: false
             };
         case ADD_COMMENT:
+        case UPDATE_COMMENT:
             return {
                 ...state,
-                post: { ...state.post, comments: payload },
+                posts: state.posts.map(post => post._id === payload.postId ? {...post, comments: payload.comments } : post),
+                post: state.post && state.post._id === payload.postId ? { ...state.post, comments: payload.comments } : state.post,
                 loading: false
             };
         case REMOVE_COMMENT:
             return {
                 ...state,
-                post: {
+                posts: state.posts.map(post => post._id === payload.postId ? {
+                    ...post,
+                    comments: post.comments.filter(comment => comment._id !== payload.commentId)
+                } : post),
+                post: state.post && state.post._id === payload.postId ? {
                     ...state.post,
-                    comments: state.post.comments.filter(comment => comment._id !== payload)
-                },
+                    comments: state.post.comments.filter(comment => comment._id !== payload.commentId)
+                } : state.post,
                 loading: false
             };
         default:
@@ -1,9 +1,13 @@
-import {GET_PROFILE, GET_PROFILES, GET_REPOS, PROFILE_ERROR, CLEAR_PROFILE, UPDATE_PROFILE} from "../actions/types";
+import {GET_PROFILE, GET_PROFILES, GET_REPOS, PROFILE_ERROR, CLEAR_PROFILE, UPDATE_PROFILE, UPDATE_FOLLOWERS, GET_CONNECTIONS} from "../actions/types";
 
 const initialState = {
     profile: null,
     profiles: [],
+    profilesPage: 1,
+    profilesPages: 0,
+    profilesTotal: 0,
     repos: [],
+    connections: [],
     loading: true,
     error: {}
 };
@@ -19,10 +23,19 @@ export default function (state = initialState, action) {
                 profile: payload,
                 loading: false
             };
+        case UPDATE_FOLLOWERS:
+            return {
+                ...state,
+                profile: { ...state.profile, followers: payload },
+                loading: false
+            };
         case GET_PROFILES:
             return {
                 ...state,
-                profiles: payload,
+                profiles: payload.profiles,
+                profilesPage: payload.page,
+                profilesPages: payload.pages,
+                profilesTotal: payload.total,
                 loading: false
             };
         case PROFILE_ERROR:
@@ -39,6 +52,11 @@ export default function (state = initialState, action) {
                 repos: [],
                 loading: false
             };
+        case GET_CONNECTIONS:
+            return {
+                ...state,
+                connections: payload
+            };
         case GET_REPOS:
             return {
                 ...state,
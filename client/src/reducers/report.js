@@ -0,0 +1,42 @@
+import {
+    GET_REPORTS,
+    REPORT_HANDLED,
+    REPORT_ERROR,
+    LOGOUT
+} from '../actions/types';
+
+const initialState = {
+    reports: [],
+    loading: true,
+    error: {}
+};
+
+export default function (state = initialState, action) {
+    const {type, payload} = action;
+
+    switch (type) {
+        case GET_REPORTS:
+            return {
+                ...state,
+                reports: payload,
+                loading: false
+            };
+        case REPORT_HANDLED:
+            // Every open report of the content was handled together
+            return {
+                ...state,
+                reports: state.reports.filter(report => report.target !== payload.target),
+                loading: false
+            };
+        case REPORT_ERROR:
+            return {
+                ...state,
+                error: payload,
+                loading: false
+            };
+        case LOGOUT:
+            return initialState;
+        default:
+            return state;
+    }
+}
@@ -0,0 +1,19 @@
+import axios from 'axios';
+
+// Downloads an API response as a file. Goes through axios rather than a plain link
+// so the auth header is sent and the dev server proxies the request.
+const downloadFile = async (url, fallbackName, params) => {
+    const res = await axios.get(url, { params, responseType: 'blob' });
+    const match = /filename="?([^";]+)"?/.exec(res.headers['content-disposition'] || '');
+
+    const objectUrl = window.URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(objectUrl);
+};
+
+export default downloadFile;
@@ -0,0 +1,4 @@
+// Formats an ISO date from the API for an <input type="date">
+const inputDate = date => date ? date.slice(0, 10) : '';
+
+export default inputDate;
@@ -0,0 +1,32 @@
+// GitHub's colors for common languages, anything else gets a stable color from its name
+const LANGUAGE_COLORS = {
+    JavaScript: '#f1e05a',
+    TypeScript: '#3178c6',
+    Python: '#3572a5',
+    Java: '#b07219',
+    Go: '#00add8',
+    Ruby: '#701516',
+    PHP: '#4f5d95',
+    'C#': '#178600',
+    'C++': '#f34b7d',
+    C: '#555555',
+    Rust: '#dea584',
+    Swift: '#f05138',
+    Kotlin: '#a97bff',
+    HTML: '#e34c26',
+    CSS: '#563d7c',
+    SCSS: '#c6538c',
+    Shell: '#89e051',
+    Vue: '#41b883',
+    Dart: '#00b4ab',
+    Other: '#cccccc'
+};
+
+const languageColor = name => {
+    if(LANGUAGE_COLORS[name]) return LANGUAGE_COLORS[name];
+
+    const hue = [...name].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 360, 0);
+    return `hsl(${hue}, 55%, 55%)`;
+};
+
+export default languageColor;
@@ -0,0 +1,18 @@
+// Converts between a location.search string and a plain object of non-empty values
+
+export const parseQuery = search => {
+    const query = {};
+    new URLSearchParams(search).forEach((value, key) => {
+        if(value) query[key] = value;
+    });
+    return query;
+};
+
+export const buildQuery = query => {
+    const params = new URLSearchParams();
+    Object.keys(query).forEach(key => {
+        if(query[key]) params.set(key, query[key]);
+    });
+    const search = params.toString();
+    return search ? `?${search}` : '';
+};
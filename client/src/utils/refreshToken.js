@@ -0,0 +1,53 @@
+import axios from 'axios';
+import setAuthToken from './setAuthToken';
+import { TOKEN_REFRESHED, LOGOUT, CLEAR_PROFILE } from '../actions/types';
+
+const AUTH_URLS = ['/api/auth/refresh', '/api/auth/logout'];
+
+// Retries go through a separate instance so a second 401 is not retried again
+const retryClient = axios.create();
+
+// Shared by every request that fails while a refresh is in flight
+let refreshing = null;
+
+const refresh = store => {
+    if(!refreshing) {
+        refreshing = axios.post('/api/auth/refresh', { refreshToken: localStorage.refreshToken })
+            .then(res => {
+                setAuthToken(res.data.token);
+                store.dispatch({ type: TOKEN_REFRESHED, payload: res.data });
+                return res.data.token;
+            })
+            .finally(() => {
+                refreshing = null;
+            });
+    }
+
+    return refreshing;
+};
+
+// Retries requests rejected with 401 once, after exchanging the refresh token
+// for a new access token. Logs out when the refresh token is no longer valid.
+const setupRefreshToken = store => {
+    axios.interceptors.response.use(null, async err => {
+        const { config, response } = err;
+
+        if(!response || response.status !== 401
+            || AUTH_URLS.includes(config.url) || !localStorage.refreshToken) {
+            return Promise.reject(err);
+        }
+
+        try {
+            const token = await refresh(store);
+
+            return retryClient({ ...config, headers: { ...config.headers, 'x-auth-token': token } });
+        } catch (refreshErr) {
+            setAuthToken(null);
+            store.dispatch({ type: CLEAR_PROFILE });
+            store.dispatch({ type: LOGOUT });
+            return Promise.reject(err);
+        }
+    });
+};
+
+export default setupRefreshToken;
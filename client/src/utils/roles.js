@@ -0,0 +1,6 @@
+// Mirrors the server: each role may do what the ones before it may
+const ROLES = ['user', 'moderator', 'admin'];
+
+export const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+export default ROLES;
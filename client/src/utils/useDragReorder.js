@@ -0,0 +1,46 @@
+import { useState } from 'react';
+
+// Drag and drop reordering of a list. Spread rowProps(index) on each draggable row;
+// onReorder gets the items in their new order once one is dropped somewhere else.
+const useDragReorder = (items, onReorder) => {
+    const [dragged, setDragged] = useState(null);
+    const [over, setOver] = useState(null);
+
+    const rowProps = index => ({
+        draggable: true,
+        className: [
+            'draggable',
+            index === dragged ? 'dragging' : '',
+            index === over && index !== dragged ? 'drag-over' : ''
+        ].join(' ').trim(),
+        onDragStart: e => {
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox only starts a drag when data is set
+            e.dataTransfer.setData('text/plain', String(index));
+            setDragged(index);
+        },
+        onDragOver: e => {
+            e.preventDefault();
+            if(over !== index) setOver(index);
+        },
+        onDrop: e => {
+            e.preventDefault();
+            if(dragged !== null && dragged !== index) {
+                const reordered = [...items];
+                const [moved] = reordered.splice(dragged, 1);
+                reordered.splice(index, 0, moved);
+                onReorder(reordered);
+            }
+            setDragged(null);
+            setOver(null);
+        },
+        onDragEnd: () => {
+            setDragged(null);
+            setOver(null);
+        }
+    });
+
+    return rowProps;
+};
+
+export default useDragReorder;
@@ -13,6 +13,12 @@ module.exports = function (req, res, next) {
     // Verify token
     try {
         const decoded = jwt.verify(token, config.get('jwtSecret'));
+
+        // Mailed and two-factor tokens are signed with the same secret but aren't access tokens
+        if(!decoded.user) {
+            return res.status(401).json({ msg: 'Token is not valid'});
+        }
+
         req.user = decoded.user;
         next();
     } catch(err) {
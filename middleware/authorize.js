@@ -0,0 +1,19 @@
+const User = require('../models/User');
+const { hasRole } = require('../utils/roles');
+
+// Goes after auth, only lets users with at least the given role through
+module.exports = role => async function (req, res, next) {
+    try {
+        const user = await User.findById(req.user.id).select('role suspended');
+
+        if(!user || user.suspended || !hasRole(user, role)) {
+            return res.status(403).json({ msg: 'Access denied' });
+        }
+
+        req.user.role = user.role;
+        next();
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const conversationSchema = new Schema({
+    participants: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'user'
+        }
+    ],
+    lastMessage: {
+        text: {
+            type: String
+        },
+        sender: {
+            type: Schema.Types.ObjectId,
+            ref: 'user'
+        },
+        date: {
+            type: Date
+        }
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+conversationSchema.index({ participants: 1, date: -1 });
+
+module.exports = Conversation = mongoose.model('conversation', conversationSchema);
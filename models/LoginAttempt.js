@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Audit record of a failed login, also used to rate limit further attempts
+const loginAttemptSchema = new Schema({
+    // Email as typed, so attempts on unknown accounts are limited too
+    email: {
+        type: String,
+        required: true
+    },
+    // Set when the email belongs to an account
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'user'
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    reason: {
+        type: String,
+        enum: ['invalid-credentials', 'locked', 'rate-limited'],
+        required: true
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+loginAttemptSchema.index({ ip: 1, date: -1 });
+loginAttemptSchema.index({ email: 1, date: -1 });
+// Keep the audit trail for 90 days
+loginAttemptSchema.index({ date: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = LoginAttempt = mongoose.model('loginAttempt', loginAttemptSchema);
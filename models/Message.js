@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const messageSchema = new Schema({
+    conversation: {
+        type: Schema.Types.ObjectId,
+        ref: 'conversation',
+        required: true
+    },
+    sender: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    recipient: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+messageSchema.index({ conversation: 1, date: -1 });
+messageSchema.index({ recipient: 1, read: 1 });
+
+module.exports = Message = mongoose.model('message', messageSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const notificationSchema = new Schema({
+    // User being notified
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    // User whose action caused the notification
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['like', 'comment', 'follow'],
+        required: true
+    },
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'post'
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ user: 1, date: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+
+module.exports = Notification = mongoose.model('notification', notificationSchema);
@@ -1,6 +1,53 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// A previous version of a post or comment, kept when its author edits it
+const editSchema = new Schema({
+    text: {
+        type: String,
+        required: true
+    },
+    // When this version was replaced
+    date: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const commentSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    avatar: {
+        type: String
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    edits: [editSchema],
+    // Set once enough users report the comment
+    hidden: {
+        type: Boolean
+    }
+}, {
+    toJSON: {
+        // Nobody gets the text of a hidden comment, moderators review the reported copy
+        transform: (doc, ret) => {
+            if(ret.hidden) {
+                delete ret.text;
+                delete ret.edits;
+            }
+            return ret;
+        }
+    }
+});
+
 const postSchema = new Schema({
     user: {
         type: Schema.Types.ObjectId,
@@ -24,33 +71,52 @@ const postSchema = new Schema({
             }
         }
     ],
-    comments: [
-        {
-            user: {
-                type: Schema.Types.ObjectId,
-                ref: 'users'
-            },
-            text: {
-                type: String,
-                required: true
-            },
-            avatar: {
-                type: String
-            },
-            date: {
-                type: Date,
-                default: Date.now()
-            }
-        }
-    ],
+    comments: [commentSchema],
     date: {
         type: Date,
-        default: Date.now()
+        default: Date.now
     },
     ispublic: {
         type: Boolean,
         default: true
+    },
+    visibility: {
+        type: String,
+        enum: ['public', 'followers', 'private', 'custom']
+    },
+    // Users who can see a post with custom visibility
+    audience: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'user'
+        }
+    ],
+    edits: [editSchema],
+    // Set once enough users report the post
+    hidden: {
+        type: Boolean
+    },
+    // Set while the author's account is scheduled for deletion
+    deleting: {
+        type: Boolean
     }
 });
 
+// Keeps the indexed ispublic flag in step with visibility
+postSchema.pre('save', function (next) {
+    if(this.visibility) this.ispublic = this.visibility === 'public';
+    next();
+});
+
+// Supports the paginated public feed
+postSchema.index({ ispublic: 1, date: -1, _id: -1 });
+postSchema.index({ user: 1, date: -1, _id: -1 });
+postSchema.index({ audience: 1, date: -1, _id: -1 });
+
+// Supports post search, ranking matches in the post itself above its comments
+postSchema.index(
+    { text: 'text', 'comments.text': 'text' },
+    { weights: { text: 3, 'comments.text': 1 }, name: 'post_text_search' }
+);
+
 module.exports = Post = mongoose.model('post', postSchema);
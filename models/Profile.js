@@ -51,6 +51,9 @@ const ProfileSchema = new mongoose.Schema({
             current: {
                 type: Boolean,
                 default: false
+            },
+            description: {
+                type: String
             }
         }
     ],
@@ -107,10 +110,102 @@ const ProfileSchema = new mongoose.Schema({
             type: String
         },
     },
+    followers: [
+        {
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'user'
+            },
+            date: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    // Accounts on GitHub, GitLab, including self-hosted instances at url, and Bitbucket
+    codeHosts: [
+        {
+            provider: {
+                type: String,
+                enum: ['github', 'gitlab', 'bitbucket'],
+                required: true
+            },
+            username: {
+                type: String,
+                required: true
+            },
+            url: {
+                type: String
+            }
+        }
+    ],
+    // Public GitHub data aggregated for githubusername, refreshed periodically
+    githubSummary: {
+        username: {
+            type: String
+        },
+        languages: [
+            {
+                _id: false,
+                name: String,
+                bytes: Number,
+                percent: Number
+            }
+        ],
+        // Pinned repos when GitHub tells us, most starred otherwise
+        topRepos: [
+            {
+                _id: false,
+                name: String,
+                description: String,
+                url: String,
+                language: String,
+                stars: Number,
+                forks: Number,
+                pinned: Boolean
+            }
+        ],
+        activity: {
+            since: Date,
+            commits: Number,
+            pullRequests: Number,
+            issues: Number,
+            reviews: Number,
+            reposCreated: Number,
+            recent: [
+                {
+                    _id: false,
+                    // Mongoose reads a bare `type` key as the path type
+                    type: { type: String },
+                    title: String,
+                    repo: String,
+                    url: String,
+                    date: Date
+                }
+            ]
+        },
+        refreshedAt: {
+            type: Date
+        }
+    },
+    // Set once enough users report the profile
+    hidden: {
+        type: Boolean
+    },
+    // Set while the account is scheduled for deletion
+    deleting: {
+        type: Boolean
+    },
     date: {
         type: Date,
-        default: Date.now()
+        default: Date.now
     }
 });
 
+// Supports filtering the developer directory by status
+ProfileSchema.index({ status: 1 });
+
+// Supports looking up who a user follows
+ProfileSchema.index({ 'followers.user': 1 });
+
 module.exports = Profile = mongoose.model('profile', ProfileSchema);
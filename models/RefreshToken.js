@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const refreshTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    // SHA-256 of the token handed to the client, the token itself is never stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expires: {
+        type: Date,
+        required: true
+    },
+    revoked: {
+        type: Date
+    },
+    // Hash of the token this one was exchanged for on refresh
+    replacedBy: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+refreshTokenSchema.index({ user: 1 });
+// Let MongoDB clear out expired tokens
+refreshTokenSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = RefreshToken = mongoose.model('refreshToken', refreshTokenSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const reportSchema = new Schema({
+    reporter: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['post', 'comment', 'profile'],
+        required: true
+    },
+    // Id of the reported post, comment or profile
+    target: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    // Post a reported comment belongs to
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'post'
+    },
+    // User who wrote the reported content
+    author: {
+        type: Schema.Types.ObjectId,
+        ref: 'user'
+    },
+    // Copy of the content when reported, kept for review even if it is edited or removed
+    content: {
+        type: String
+    },
+    reason: {
+        type: String,
+        enum: ['spam', 'harassment', 'inappropriate', 'other'],
+        required: true
+    },
+    details: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['open', 'actioned', 'dismissed'],
+        default: 'open'
+    },
+    // Moderator who actioned or dismissed the report
+    handledBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'user'
+    },
+    handledDate: {
+        type: Date
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A user reports a piece of content once
+reportSchema.index({ reporter: 1, target: 1 }, { unique: true });
+// Supports the moderation queue and counting reports per target
+reportSchema.index({ status: 1, date: -1 });
+reportSchema.index({ target: 1, status: 1 });
+
+module.exports = Report = mongoose.model('report', reportSchema);
@@ -17,10 +17,62 @@ const UserSchema = new mongoose.Schema({
     avatar: {
         type: String
     },
+    verified: {
+        type: Boolean,
+        default: false
+    },
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
+    // Set while the account waits to be purged, see utils/accountDeletion.js
+    deleteAfter: {
+        type: Date
+    },
+    // Suspended users can't log in
+    suspended: {
+        type: Boolean,
+        default: false
+    },
+    // Failed passwords in a row, reset on login and when the account gets locked
+    failedLogins: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date
+    },
+    // GitHub account signed in with, see utils/githubOAuth.js
+    github: {
+        id: {
+            type: String
+        },
+        login: {
+            type: String
+        }
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String
+        },
+        // Secret waiting for its first code before 2FA is turned on
+        pendingSecret: {
+            type: String
+        },
+        // SHA-256 hashes of unused recovery codes
+        recoveryCodes: [String]
+    },
     date: {
         type: Date,
         default: Date.now
     }
 });
 
+UserSchema.index({ 'github.id': 1 }, { unique: true, sparse: true });
+
 module.exports = User = mongoose.model('user', UserSchema);
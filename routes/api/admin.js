@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator/check');
+const auth = require('../../middleware/auth');
+const authorize = require('../../middleware/authorize');
+const escapeRegExp = require('../../utils/escapeRegExp');
+const { ROLES } = require('../../utils/roles');
+const { revokeAllRefreshTokens } = require('../../utils/tokens');
+
+const User = require('../../models/User');
+
+const USER_FIELDS = 'name email avatar role suspended verified date';
+const USER_LIMIT = 20;
+
+const parsePositiveInt = (value, fallback) => {
+    value = parseInt(value, 10);
+    return isNaN(value) || value < 1 ? fallback : value;
+};
+
+// Loads the user an admin acts on into req.target, refusing to act on yourself
+const loadTarget = async (req, res, next) => {
+    try {
+        if(req.params.user_id === req.user.id) {
+            return res.status(400).json({ errors: [{msg: 'You can not change your own account'}] });
+        }
+
+        req.target = await User.findById(req.params.user_id).select(USER_FIELDS);
+
+        if(!req.target) {
+            return res.status(404).json({ errors: [{msg: 'User not found'}] });
+        }
+
+        next();
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json({ errors: [{msg: 'User not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/admin/users
+// @desc    List users, optionally matching a name or email
+// @access  Admin
+router.get('/users', [auth, authorize('admin')], async (req, res) => {
+    try {
+        const page = parsePositiveInt(req.query.page, 1);
+        const filter = {};
+
+        // A repeated q arrives as an array, only a single search is used
+        if(typeof req.query.q === 'string' && req.query.q) {
+            const search = new RegExp(escapeRegExp(req.query.q), 'i');
+            filter.$or = [{ name: search }, { email: search }];
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select(USER_FIELDS)
+                .sort({ date: -1 })
+                .skip((page - 1) * USER_LIMIT)
+                .limit(USER_LIMIT),
+            User.countDocuments(filter)
+        ]);
+
+        res.json({
+            users,
+            total,
+            page,
+            pages: Math.ceil(total / USER_LIMIT)
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/admin/users/:user_id/suspend
+// @desc    Suspend user and end their sessions
+// @access  Admin
+router.put('/users/:user_id/suspend', [auth, authorize('admin'), loadTarget], async (req, res) => {
+    try {
+        if(req.target.role === 'admin') {
+            return res.status(400).json({ errors: [{msg: 'Admins can not be suspended'}] });
+        }
+
+        req.target.suspended = true;
+        await req.target.save();
+
+        // Access tokens still work until they expire, refreshing them won't
+        await revokeAllRefreshTokens(req.target.id);
+
+        res.json(req.target);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/admin/users/:user_id/unsuspend
+// @desc    Lift suspension of user
+// @access  Admin
+router.put('/users/:user_id/unsuspend', [auth, authorize('admin'), loadTarget], async (req, res) => {
+    try {
+        req.target.suspended = false;
+        await req.target.save();
+
+        res.json(req.target);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/admin/users/:user_id/role
+// @desc    Change role of user
+// @access  Admin
+router.put('/users/:user_id/role', [auth, authorize('admin'), [
+    check('role', `Role must be one of ${ROLES.join(', ')}`)
+        .isIn(ROLES)
+], loadTarget], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        req.target.role = req.body.role;
+        await req.target.save();
+
+        res.json(req.target);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
@@ -3,18 +3,44 @@ const router = express.Router();
 const auth = require('../../middleware/auth');
 
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const config = require('config');
 const { check, validationResult } = require('express-validator/check/index');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllRefreshTokens } = require('../../utils/tokens');
+const { sendPasswordResetMail } = require('../../utils/accountMail');
+const { userFromResetToken } = require('../../utils/accountTokens');
+const { retryAfter, lockedFor, recordFailure, recordSuccess } = require('../../utils/loginGuard');
+const {
+    isGithubLoginEnabled,
+    startGithubLogin,
+    checkGithubState,
+    fetchGithubAccount,
+    findOrCreateGithubUser
+} = require('../../utils/githubOAuth');
+const {
+    createSecret,
+    checkCode,
+    createRecoveryCodes,
+    checkSecondFactor,
+    signInterimToken,
+    userIdFromInterimToken
+} = require('../../utils/twoFactor');
 
 const User = require('../../models/User');
 
+// bcrypt hash of a random string, compared against when the email is unknown
+const DUMMY_HASH = '$2a$10$bkaGFTYWoqoqLNsyo42tTupd4r166ECO5eyZGVsVO4KaSmZuH/DKi';
+
+// Same answer for backoff and locked accounts, so it doesn't tell which emails have an account
+const tooManyAttempts = (res, wait) => {
+    res.set('Retry-After', String(wait));
+    return res.status(429).json( {errors: [{msg: `Too many failed attempts, please try again in ${wait} seconds`}] });
+};
+
 // @route   GET api/auth
 // @desc    Gets user information
 // @access  Private
 router.get('/', auth, async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const user = await User.findById(req.user.id).select('-password -failedLogins -lockUntil -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes');
         if (!user) {
             return res.status(400).json( {errors: [{msg: 'User was deleted'}] });
         }
@@ -26,7 +52,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   POST api/auth
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get access and refresh tokens
 // @access  Public
 router.post('/', [
     check('email', 'Please include a valid email')
@@ -40,39 +66,392 @@ router.post('/', [
     }
 
     const { email, password } = req.body;
+    const attempt = { ip: req.ip, email, userAgent: req.header('user-agent') };
 
     try {
-        // See if user exists
-        let user = await User.findOne({ email });
+        const user = await User.findOne({ email });
 
-        if(!user) {
-            return res.status(400).json( {errors: [{msg: 'User does not exist'}] });
+        // Slow down repeated failures from the same IP or on the same email, and
+        // turn away locked emails, whether they have an account or not
+        const wait = await retryAfter(attempt);
+        const locked = await lockedFor({ email, user });
+
+        if(wait || locked) {
+            await recordFailure({ ...attempt, user, reason: locked ? 'locked' : 'rate-limited' });
+            return tooManyAttempts(res, Math.max(wait, locked));
+        }
+
+        // Compare against a dummy hash for unknown emails, so response time doesn't tell them apart
+        const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_HASH);
+
+        // Same answer for unknown emails and wrong passwords
+        if(!user || !isMatch) {
+            await recordFailure({ ...attempt, user, reason: 'invalid-credentials' });
+            return res.status(400).json( {errors: [{msg: 'Invalid credentials'}] });
+        }
+
+        await recordSuccess(user);
+
+        if(user.suspended) {
+            return res.status(403).json( {errors: [{msg: 'Your account has been suspended'}] });
+        }
+
+        // Second step needed, the interim token only works on api/auth/2fa/verify
+        if(user.twoFactor.enabled) {
+            return res.json({ twoFactorRequired: true, interimToken: signInterimToken(user.id) });
+        }
+
+        // Return jsonwebtoken and refresh token
+        res.json(await issueTokens(user.id, req.header('user-agent')));
+
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/2fa/verify
+// @desc    Finish a two-factor login with an authenticator or recovery code
+// @access  Public
+router.post('/2fa/verify', [
+    check('interimToken', 'Sign in again, the login has expired')
+        .not()
+        .isEmpty(),
+    check('code', 'Please enter the code from your authenticator app')
+        .if(check('recoveryCode').not().exists())
+        .not()
+        .isEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const userId = userIdFromInterimToken(req.body.interimToken);
+        const user = userId && await User.findById(userId);
+
+        if(!user || !user.twoFactor.enabled) {
+            return res.status(401).json( {errors: [{msg: 'Sign in again, the login has expired'}] });
         }
 
-        // Validate password for matches
-        const isMatch = await bcrypt.compare(password, user.password);
+        // Codes are rate limited like passwords
+        const attempt = { ip: req.ip, email: user.email, userAgent: req.header('user-agent') };
+        const wait = await retryAfter(attempt);
+        const locked = await lockedFor({ email: user.email, user });
+
+        if(wait || locked) {
+            await recordFailure({ ...attempt, user, reason: locked ? 'locked' : 'rate-limited' });
+            return tooManyAttempts(res, Math.max(wait, locked));
+        }
+
+        if(!checkSecondFactor(user, req.body)) {
+            await recordFailure({ ...attempt, user, reason: 'invalid-credentials' });
+            return res.status(400).json( {errors: [{msg: 'Invalid code'}] });
+        }
+
+        // Saves a used recovery code too
+        user.failedLogins = 0;
+        user.lockUntil = undefined;
+        await user.save();
+
+        res.json(await issueTokens(user.id, req.header('user-agent')));
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start enabling two-factor auth, returns a new secret and its QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if(user.twoFactor.enabled) {
+            return res.status(400).json( {errors: [{msg: 'Two-factor authentication is already enabled'}] });
+        }
+
+        const { secret, otpauthUrl, qrCode } = await createSecret(user);
+
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
 
-        if(!isMatch) {
-            // Yes, this is a security vulnerability
-            return res.status(400).json( {errors: [{msg: 'Password does not match'}] });
+        res.json({ secret, otpauthUrl, qrCode });
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/2fa/enable
+// @desc    Enable two-factor auth after checking a code for the new secret,
+//          returns the recovery codes
+// @access  Private
+router.post('/2fa/enable', [auth, [
+    check('code', 'Please enter the code from your authenticator app')
+        .not()
+        .isEmpty()
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.user.id);
+
+        if(!user.twoFactor.pendingSecret) {
+            return res.status(400).json( {errors: [{msg: 'Start two-factor setup first'}] });
+        }
+
+        if(!checkCode(req.body.code, user.twoFactor.pendingSecret)) {
+            return res.status(400).json( {errors: [{msg: 'Invalid code'}] });
         }
 
-        // Return jsonwebtoken
-        const payload = {
-            user: {
-                id: user.id
-            }
+        const { codes, hashes } = createRecoveryCodes();
+
+        user.twoFactor = {
+            enabled: true,
+            secret: user.twoFactor.pendingSecret,
+            recoveryCodes: hashes
         };
+        await user.save();
+
+        res.json({ recoveryCodes: codes });
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/2fa/disable
+// @desc    Disable two-factor auth, needs the password and a code
+// @access  Private
+router.post('/2fa/disable', [auth, [
+    check('password', 'Please enter password').exists(),
+    check('code', 'Please enter a code from your authenticator app or a recovery code')
+        .if(check('recoveryCode').not().exists())
+        .not()
+        .isEmpty()
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.user.id);
+
+        if(!user.twoFactor.enabled) {
+            return res.status(400).json( {errors: [{msg: 'Two-factor authentication is not enabled'}] });
+        }
+
+        const isMatch = await bcrypt.compare(req.body.password, user.password);
+
+        if(!isMatch || !checkSecondFactor(user, req.body)) {
+            return res.status(400).json( {errors: [{msg: 'Invalid credentials'}] });
+        }
+
+        user.twoFactor = { enabled: false, recoveryCodes: [] };
+        await user.save();
+
+        res.json({ msg: 'Two-factor authentication disabled' });
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   GET api/auth/github
+// @desc    Start signing in with GitHub, returns the GitHub url to send the browser to
+// @access  Public
+router.get('/github', (req, res) => {
+    if(!isGithubLoginEnabled()) {
+        return res.status(404).json( {errors: [{msg: 'Sign in with GitHub is not available'}] });
+    }
+
+    res.json({ url: startGithubLogin(req, res) });
+});
+
+// @route   POST api/auth/github/callback
+// @desc    Finish signing in with GitHub, creating or linking the user & get access and refresh tokens
+// @access  Public
+router.post('/github/callback', [
+    check('code', 'GitHub sign in was cancelled')
+        .not()
+        .isEmpty(),
+    check('state', 'GitHub sign in was cancelled')
+        .not()
+        .isEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    if(!checkGithubState(req, res)) {
+        return res.status(400).json( {errors: [{msg: 'GitHub sign in expired, please try again'}] });
+    }
+
+    try {
+        const account = await fetchGithubAccount(req.body.code);
+
+        if(!account) {
+            return res.status(400).json( {errors: [{msg: 'GitHub sign in expired, please try again'}] });
+        }
+        if(!account.email) {
+            return res.status(400).json( {errors: [{msg: 'Your GitHub account needs a verified primary email'}] });
+        }
+
+        const { user, error } = await findOrCreateGithubUser(account);
+
+        if(error) {
+            return res.status(409).json( {errors: [{msg: error}] });
+        }
+
+        if(user.suspended) {
+            return res.status(403).json( {errors: [{msg: 'Your account has been suspended'}] });
+        }
+
+        // GitHub stands in for the password, the second factor is still needed
+        if(user.twoFactor.enabled) {
+            return res.json({ twoFactorRequired: true, interimToken: signInterimToken(user.id) });
+        }
+
+        res.json(await issueTokens(user.id, req.header('user-agent')));
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', [
+    check('refreshToken', 'Refresh token is required')
+        .not()
+        .isEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const tokens = await rotateRefreshToken(req.body.refreshToken, req.header('user-agent'));
+
+        if(!tokens) {
+            return res.status(401).json( {errors: [{msg: 'Refresh token is not valid'}] });
+        }
+
+        res.json(tokens);
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/logout
+// @desc    Revoke a refresh token, ending its session
+// @access  Public
+router.post('/logout', [
+    check('refreshToken', 'Refresh token is required')
+        .not()
+        .isEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await revokeRefreshToken(req.body.refreshToken);
+
+        res.json({ msg: 'Logged out' });
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/logout-all
+// @desc    Revoke every refresh token of current user, ending all sessions
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        await revokeAllRefreshTokens(req.user.id);
+
+        res.json({ msg: 'Logged out of all devices' });
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/forgot
+// @desc    Mail a password reset link
+// @access  Public
+router.post('/forgot', [
+    check('email', 'Please include a valid email')
+        .isEmail()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findOne({ email: req.body.email });
+
+        // Not waited for, a failing mail would otherwise tell this email has an account
+        if(user) {
+            sendPasswordResetMail(user).catch(err => console.error(err.message));
+        }
+
+        // Same answer either way, so this can't be used to find out who has an account
+        res.json({ msg: 'If an account exists for that email, a reset link has been sent to it' });
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/auth/reset
+// @desc    Set a new password with a mailed reset token
+// @access  Public
+router.post('/reset', [
+    check('token', 'Reset token is required')
+        .not()
+        .isEmpty(),
+    check('password', 'Please enter a password with six or more characters').isLength({ min: 6 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await userFromResetToken(req.body.token);
+
+        if(!user) {
+            return res.status(400).json( {errors: [{msg: 'Reset link is not valid or has expired'}] });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(req.body.password, salt);
+        // Following the mailed link proves the address is theirs
+        user.verified = true;
+        user.failedLogins = 0;
+        user.lockUntil = undefined;
+        await user.save();
 
-        jwt.sign(
-            payload,
-            config.get('jwtSecret'),
-            { expiresIn: config.get('jwtTokenTimeout') },
-            (err, token) => {
-                if (err) throw err;
-                res.json({ token });
-            });
+        // Sign out sessions that may have been opened with the old password
+        await revokeAllRefreshTokens(user.id);
 
+        res.json({ msg: 'Password has been reset' });
     } catch(err) {
         console.error(err.message);
         res.status(500).send('Server error')
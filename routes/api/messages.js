@@ -0,0 +1,153 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { check, validationResult } = require('express-validator/check');
+const auth = require('../../middleware/auth');
+
+// Import models
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const User = require('../../models/User');
+
+const THREAD_LIMIT = 100;
+
+// Stands in for the other participant once their account is purged, their thread stays
+const deletedUser = id => ({ _id: id, name: 'Deleted user', deleted: true });
+
+// Finds the conversation between two users, if they have one
+const findConversation = (userId, otherId) => Conversation.findOne({
+    participants: { $all: [userId, otherId], $size: 2 }
+});
+
+// @route   GET api/messages
+// @desc    Get current users conversations, most recent first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const conversations = await Conversation.find({ participants: req.user.id })
+            .sort({ date: -1 })
+            .populate('participants', ['name', 'avatar']);
+
+        const unread = await Message.aggregate([
+            { $match: { recipient: mongoose.Types.ObjectId(req.user.id), read: false } },
+            { $group: { _id: '$conversation', count: { $sum: 1 } } }
+        ]);
+        const unreadCounts = {};
+        unread.forEach(({ _id, count }) => unreadCounts[_id.toString()] = count);
+
+        res.json(conversations.map(conversation => ({
+            _id: conversation.id,
+            user: conversation.participants.find(participant => participant.id != req.user.id)
+                || deletedUser(conversation.populated('participants').find(id => id.toString() != req.user.id)),
+            lastMessage: conversation.lastMessage,
+            unread: unreadCounts[conversation.id] || 0,
+            date: conversation.date
+        })));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET api/messages/:user_id
+// @desc    Get the latest messages between current user and another user
+// @access  Private
+router.get('/:user_id', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.user_id).select(['name', 'avatar']);
+        const conversation = await findConversation(req.user.id, req.params.user_id);
+        if(!user && !conversation) {
+            return res.status(404).json( {errors: [{msg: 'User not found'}] });
+        }
+
+        const messages = conversation ? await Message.find({ conversation: conversation.id })
+            .sort({ date: -1 })
+            .limit(THREAD_LIMIT) : [];
+
+        res.json({ user: user || deletedUser(req.params.user_id), messages: messages.reverse() });
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json( {errors: [{msg: 'User not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/messages/:user_id
+// @desc    Send a message to a user
+// @access  Private
+router.post('/:user_id', [auth, [
+    check('text', 'Message text is required')
+        .not()
+        .isEmpty()
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    if(req.params.user_id == req.user.id) {
+        return res.status(400).json( {errors: [{msg: 'You cannot message yourself'}] });
+    }
+
+    try {
+        const recipient = await User.findById(req.params.user_id);
+        if(!recipient) {
+            return res.status(404).json( {errors: [{msg: 'User not found'}] });
+        }
+
+        let conversation = await findConversation(req.user.id, recipient.id);
+        if(!conversation) {
+            conversation = new Conversation({ participants: [req.user.id, recipient.id] });
+        }
+
+        const message = new Message({
+            conversation: conversation.id,
+            sender: req.user.id,
+            recipient: recipient.id,
+            text: req.body.text
+        });
+
+        conversation.lastMessage = { text: message.text, sender: message.sender, date: message.date };
+        conversation.date = message.date;
+
+        await conversation.save();
+        await message.save();
+
+        res.json(message);
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json( {errors: [{msg: 'User not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/messages/:user_id/read
+// @desc    Mark messages from a user as read
+// @access  Private
+router.put('/:user_id/read', auth, async (req, res) => {
+    try {
+        const conversation = await findConversation(req.user.id, req.params.user_id);
+        if(!conversation) {
+            return res.status(404).json( {errors: [{msg: 'Conversation not found'}] });
+        }
+
+        await Message.updateMany(
+            { conversation: conversation.id, recipient: req.user.id, read: false },
+            { $set: { read: true } }
+        );
+
+        res.json({ msg: 'Messages marked as read' });
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json( {errors: [{msg: 'Conversation not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
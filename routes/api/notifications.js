@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+
+const Notification = require('../../models/Notification');
+
+const NOTIFICATION_LIMIT = 30;
+
+// @route   GET api/notifications
+// @desc    Get current users latest notifications and unread count
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find({ user: req.user.id })
+                .sort({ date: -1 })
+                .limit(NOTIFICATION_LIMIT)
+                .populate('actor', ['name', 'avatar']),
+            Notification.countDocuments({ user: req.user.id, read: false })
+        ]);
+
+        res.json({ notifications, unreadCount });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/notifications/read
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read', auth, async (req, res) => {
+    try {
+        await Notification.updateMany({ user: req.user.id, read: false }, { $set: { read: true } });
+
+        res.json({ msg: 'Notifications marked as read' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.id },
+            { $set: { read: true } },
+            { new: true }
+        ).populate('actor', ['name', 'avatar']);
+
+        if(!notification) {
+            return res.status(404).json( {errors: [{msg: 'Notification not found'}] });
+        }
+
+        res.json(notification);
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json( {errors: [{msg: 'Notification not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
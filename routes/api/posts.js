@@ -1,7 +1,14 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { check, validationResult } = require('express-validator/check');
 const auth = require('../../middleware/auth');
+const highlight = require('../../utils/highlight');
+const { broadcast, emitToUser } = require('../../utils/socket');
+const notify = require('../../utils/notify');
+const sanitizeMarkdown = require('../../utils/sanitizeMarkdown');
+const { VISIBILITIES, followingOf, canView, visibleQuery, audienceOf } = require('../../utils/postVisibility');
+const { userHasRole } = require('../../utils/roles');
 
 // Import models
 const Post = require('../../models/Post');
@@ -10,13 +17,90 @@ const User = require('../../models/User');
 
 const ERR_NOTFOUND = 'Post not found or is private';
 
+const visibilityChecks = [
+    check('visibility', `Visibility must be one of ${VISIBILITIES.join(', ')}`)
+        .optional()
+        .isIn(VISIBILITIES),
+    check('audience', 'Audience must be a list of user ids')
+        .optional()
+        .isArray(),
+    check('audience.*', 'Audience must be a list of user ids')
+        .isMongoId()
+];
+
+const PAGE_LIMIT_DEFAULT = 10;
+const PAGE_LIMIT_MAX = 50;
+
+// Feed cursors are "<ISO date>_<post id>" of the last post on a page, base64url encoded
+const encodeCursor = post => Buffer.from(`${post.date.toISOString()}_${post.id}`).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const decodeCursor = cursor => {
+    if(!cursor) return null;
+
+    const [date, id] = Buffer.from(cursor, 'base64').toString().split('_');
+    if(!date || !mongoose.Types.ObjectId.isValid(id) || isNaN(Date.parse(date))) return null;
+
+    return { date: new Date(date), id: mongoose.Types.ObjectId(id) };
+};
+
+const parseLimit = limit => {
+    limit = parseInt(limit, 10);
+    if(isNaN(limit) || limit < 1) return PAGE_LIMIT_DEFAULT;
+    return Math.min(limit, PAGE_LIMIT_MAX);
+};
+
+// Gets the page of posts matching query that comes after cursor, newest first
+const findPage = async (query, cursor, limit) => {
+    // Only posts older than the last one the client has seen
+    if(cursor) {
+        query = {
+            $and: [query, {
+                $or: [
+                    { date: { $lt: cursor.date } },
+                    { date: cursor.date, _id: { $lt: cursor.id } }
+                ]
+            }]
+        };
+    }
+
+    // Fetch one extra post to find out if there is another page
+    const posts = await Post.find(query)
+        .sort({ date: -1, _id: -1 })
+        .limit(limit + 1);
+
+    const hasMore = posts.length > limit;
+    if(hasMore) posts.pop();
+
+    return {
+        posts,
+        nextCursor: hasMore ? encodeCursor(posts[posts.length - 1]) : null
+    };
+};
+
+// Sends a live update about a post to the users who can see it
+const publish = async (post, event, payload) => {
+    try {
+        const audience = await audienceOf(post);
+        if(audience === null) return broadcast(event, payload);
+
+        audience.forEach(userId => emitToUser(userId, event, payload));
+    } catch (err) {
+        console.error(err.message);
+    }
+};
+
 // @route   POST api/posts
 // @desc    Create a post
 // @access  Private
 router.post('/', [auth, [
     check('text', 'Post text is required')
+        .customSanitizer(sanitizeMarkdown)
         .not()
-        .isEmpty()
+        .isEmpty(),
+    ...visibilityChecks
 ]], async (req, res) => {
     const errors = validationResult(req);
     if(!errors.isEmpty()) {
@@ -30,13 +114,18 @@ router.post('/', [auth, [
             text: req.body.text,
             name: user.name,
             avatar: user.avatar,
-            user: req.user.id
+            user: req.user.id,
+            visibility: req.body.visibility || 'public'
         });
 
-        if (typeof req.body.ispublic == 'boolean' && !req.body.ispublic) newPost.ispublic = false;
+        // Older clients only send the ispublic flag
+        if (!req.body.visibility && typeof req.body.ispublic == 'boolean' && !req.body.ispublic) newPost.visibility = 'private';
+        if (newPost.visibility == 'custom') newPost.audience = req.body.audience || [];
 
         await newPost.save();
 
+        publish(newPost, 'post:created', newPost);
+
         res.json(newPost);
     } catch (err) {
         console.error(err.message);
@@ -45,12 +134,93 @@ router.post('/', [auth, [
 });
 
 // @route   GET api/posts
-// @desc    Get all public posts
+// @desc    Get a page of posts visible to current user, newest first
 // @access  Private
 router.get('/', auth, async (req,res) => {
+    const cursor = decodeCursor(req.query.cursor);
+
+    if(req.query.cursor && !cursor) {
+        return res.status(400).json( {errors: [{msg: 'Invalid cursor'}] });
+    }
+
     try {
-        const posts = await Post.find({ ispublic: true }).sort({ date: -1 });
-        res.json(posts);
+        res.json(await findPage(await visibleQuery(req.user.id), cursor, parseLimit(req.query.limit)));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET api/posts/feed
+// @desc    Get a page of posts from followed users, newest first
+// @access  Private
+router.get('/feed', auth, async (req,res) => {
+    const cursor = decodeCursor(req.query.cursor);
+
+    if(req.query.cursor && !cursor) {
+        return res.status(400).json( {errors: [{msg: 'Invalid cursor'}] });
+    }
+
+    try {
+        const following = await followingOf(req.user.id);
+
+        res.json(await findPage(
+            await visibleQuery(req.user.id, following),
+            cursor,
+            parseLimit(req.query.limit)
+        ));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET api/posts/mine
+// @desc    Get a page of current users posts of any visibility, newest first
+// @access  Private
+router.get('/mine', auth, async (req,res) => {
+    const cursor = decodeCursor(req.query.cursor);
+
+    if(req.query.cursor && !cursor) {
+        return res.status(400).json( {errors: [{msg: 'Invalid cursor'}] });
+    }
+
+    try {
+        res.json(await findPage({ user: req.user.id }, cursor, parseLimit(req.query.limit)));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET api/posts/search
+// @desc    Search posts visible to current user and their comments by relevance
+// @access  Private
+router.get('/search', [auth, [
+    check('q', 'Search query is required')
+        .trim()
+        .not()
+        .isEmpty()
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q } = req.query;
+
+    try {
+        const posts = await Post.find(
+            { $text: { $search: q }, ...await visibleQuery(req.user.id) },
+            { score: { $meta: 'textScore' } }
+        )
+            .sort({ score: { $meta: 'textScore' }, date: -1 })
+            .limit(parseLimit(req.query.limit));
+
+        res.json(posts.map(post => ({
+            ...post.toJSON(),
+            highlights: highlight(q, post)
+        })));
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server Error');
@@ -58,13 +228,13 @@ router.get('/', auth, async (req,res) => {
 });
 
 // @route   GET api/posts/:id
-// @desc    Get a public post by ID
+// @desc    Get a post visible to current user by ID
 // @access  Private
 router.get('/:id', auth, async (req,res) => {
     try {
         const post = await Post.findById(req.params.id);
 
-        if(!post.ispublic){
+        if(!post || !await canView(post, req.user.id)){
             return res.status(404).json( {errors: [{msg: ERR_NOTFOUND}] })
         }
 
@@ -78,6 +248,60 @@ router.get('/:id', auth, async (req,res) => {
     }
 });
 
+// @route   PUT api/posts/:id
+// @desc    Edit users post text or visibility by id, keeping the previous text
+// @access  Private
+router.put('/:id', [auth, [
+    check('text', 'Post text is required')
+        .customSanitizer(sanitizeMarkdown)
+        .not()
+        .isEmpty(),
+    ...visibilityChecks
+]], async (req,res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const post = await Post.findById(req.params.id);
+
+        // Check post
+        if(!post) {
+            return res.status(404).json({ errors: [{msg: 'Post not found'}] });
+        }
+
+        // Check user
+        if(post.user.toString() != req.user.id) {
+            return res.status(401).json({ errors: [{msg: 'User unauthorized to edit post'}] });
+        }
+
+        if(post.text != req.body.text) {
+            post.edits.push({ text: post.text });
+            post.text = req.body.text;
+        }
+
+        if(req.body.visibility) {
+            post.visibility = req.body.visibility;
+            post.audience = post.visibility == 'custom' ? req.body.audience || [] : [];
+        }
+
+        if(post.isModified()) {
+            await post.save();
+
+            publish(post, 'post:updated', post);
+        }
+
+        res.json(post);
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json( {errors: [{msg: 'Post not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
 // @route   DELETE api/posts/:id
 // @desc    Delete users post by id
 // @access  Private
@@ -90,13 +314,15 @@ router.delete('/:id', auth, async (req,res) => {
             return res.status(404).json({ errors: [{msg: 'Post not found'}] });
         }
 
-        // Check user
-        if(post.user.toString() != req.user.id) {
+        // Check user, moderators may remove any post
+        if(post.user.toString() != req.user.id && !(await userHasRole(req.user.id, 'moderator'))) {
             return res.status(401).json({ errors: [{msg: 'User unauthorized to delete post'}] });
         }
 
         await post.remove();
 
+        publish(post, 'post:deleted', { postId: post.id });
+
         res.json({ msg: 'Post removed' });
     } catch (err) {
         if(err.kind == 'ObjectId') {
@@ -114,8 +340,8 @@ router.put('/like/:id', auth, async (req,res) => {
     try {
         const post = await Post.findById(req.params.id);
 
-        // Check if post exists or is public
-        if(!post.ispublic){
+        // Check if post exists and is visible to user
+        if(!post || !await canView(post, req.user.id)){
             return res.status(404).json( {errors: [{msg: ERR_NOTFOUND}] })
         }
 
@@ -128,6 +354,9 @@ router.put('/like/:id', auth, async (req,res) => {
 
         await post.save();
 
+        publish(post, 'post:likes', { postId: post.id, likes: post.likes });
+        notify({ user: post.user, actor: req.user.id, type: 'like', post: post.id });
+
         res.json(post.likes);
     } catch (err) {
         if(err.kind == 'ObjectId') {
@@ -145,8 +374,8 @@ router.put('/unlike/:id', auth, async (req,res) => {
     try {
         const post = await Post.findById(req.params.id);
 
-        // Check if post exists or is public
-        if(!post.ispublic){
+        // Check if post exists and is visible to user
+        if(!post || !await canView(post, req.user.id)){
             return res.status(404).json( {errors: [{msg: ERR_NOTFOUND}] })
         }
 
@@ -159,6 +388,8 @@ router.put('/unlike/:id', auth, async (req,res) => {
         if(removeIndex >= 0) {
             post.likes.splice(removeIndex, 1);
             await post.save();
+
+            publish(post, 'post:likes', { postId: post.id, likes: post.likes });
         }
 
         res.json(post.likes);
@@ -176,6 +407,7 @@ router.put('/unlike/:id', auth, async (req,res) => {
 // @access  Private
 router.post('/comment/:id', [auth, [
     check('text', 'Comment text is required')
+        .customSanitizer(sanitizeMarkdown)
         .not()
         .isEmpty()
 ]], async (req, res) => {
@@ -188,8 +420,8 @@ router.post('/comment/:id', [auth, [
         const user = await User.findById(req.user.id).select('-password');
         const post = await Post.findById(req.params.id);
 
-        // Check if post exists or is public
-        if(!post.ispublic){
+        // Check if post exists and is visible to user
+        if(!post || !await canView(post, req.user.id)){
             return res.status(404).json( {errors: [{msg: ERR_NOTFOUND}] })
         }
 
@@ -204,6 +436,62 @@ router.post('/comment/:id', [auth, [
 
         await post.save();
 
+        publish(post, 'post:comments', { postId: post.id, comments: post.comments });
+        notify({ user: post.user, actor: req.user.id, type: 'comment', post: post.id });
+
+        res.json(post.comments);
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json( {errors: [{msg: ERR_NOTFOUND}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/posts/comment/:id/:comment_id
+// @desc    Edit comment, keeping the previous text
+// @access  Private
+router.put('/comment/:id/:comment_id', [auth, [
+    check('text', 'Comment text is required')
+        .customSanitizer(sanitizeMarkdown)
+        .not()
+        .isEmpty()
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const post = await Post.findById(req.params.id);
+
+        // Check if post exists and is visible to user
+        if(!post || !await canView(post, req.user.id)){
+            return res.status(404).json( {errors: [{msg: ERR_NOTFOUND}] })
+        }
+
+        // Pull out comment
+        const comment = post.comments.find(comment => comment.id == req.params.comment_id);
+
+        // Make sure comment exists
+        if(!comment) {
+            return res.status(404).json({ msg: 'Comment does not exist' })
+        }
+
+        // Check user, only the author may edit a comment
+        if(comment.user.toString() != req.user.id) {
+            return res.status(401).json({ msg: 'User not authorized' })
+        }
+
+        if(comment.text != req.body.text) {
+            comment.edits.push({ text: comment.text });
+            comment.text = req.body.text;
+            await post.save();
+
+            publish(post, 'post:comments', { postId: post.id, comments: post.comments });
+        }
+
         res.json(post.comments);
     } catch (err) {
         if(err.kind == 'ObjectId') {
@@ -230,8 +518,8 @@ router.delete('/comment/:id/:comment_id', auth, async (req, res) => {
             return res.status(404).json({ msg: 'Comment does not exist' })
         }
 
-        // Check user
-        if(comment.user.toString() != req.user.id) {
+        // Check user, moderators may remove any comment
+        if(comment.user.toString() != req.user.id && !(await userHasRole(req.user.id, 'moderator'))) {
             return res.status(401).json({ msg: 'User not authorized' })
         }
 
@@ -239,6 +527,8 @@ router.delete('/comment/:id/:comment_id', auth, async (req, res) => {
         if(removeIndex >= 0) {
             post.comments.splice(removeIndex, 1);
             await post.save();
+
+            publish(post, 'post:comment-removed', { postId: post.id, commentId: req.params.comment_id });
         }
 
         res.json({ msg: 'Comment deleted' });
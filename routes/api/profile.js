@@ -1,13 +1,82 @@
 const express = require('express');
-const request = require('request');
-const config = require('config');
+const multer = require('multer');
 const router = express.Router();
 const auth = require('../../middleware/auth');
 const { check, validationResult } = require('express-validator/check');
 
 const Profile = require('../../models/Profile');
 const User = require('../../models/User');
-const Post = require('../../models/Post');
+const { scheduleDeletion } = require('../../utils/accountDeletion');
+const { SOCIAL_NETWORKS, toJsonResume, renderResumePdf } = require('../../utils/resume');
+const {
+    IMPORT_FIELDS,
+    IMPORT_MAX_BYTES,
+    parseImportFile,
+    buildImportPreview,
+    isSameExperience,
+    isSameEducation
+} = require('../../utils/profileImport');
+const escapeRegExp = require('../../utils/escapeRegExp');
+const notify = require('../../utils/notify');
+const { github, isGithubUsername } = require('../../utils/github');
+const { refreshGithubSummary } = require('../../utils/githubSummary');
+const { parseCodeHosts, getCodeHostRepos } = require('../../utils/codeHosts');
+
+const PROFILE_LIMIT_DEFAULT = 12;
+const PROFILE_LIMIT_MAX = 50;
+
+const PROFILE_SORTS = {
+    newest: { date: -1, _id: -1 },
+    oldest: { date: 1, _id: 1 },
+    status: { status: 1, _id: 1 },
+    company: { company: 1, _id: 1 },
+    location: { location: 1, _id: 1 }
+};
+
+// Accepts "a,b" or a repeated query parameter
+const parseList = value => [].concat(value || [])
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item);
+
+const EXPERIENCE_FIELDS = ['title', 'company', 'location', 'from', 'to', 'current', 'description'];
+const EDUCATION_FIELDS = ['school', 'degree', 'fieldofstudy', 'location', 'from', 'to', 'current', 'description'];
+
+// Applies the fields present in body to an experience or education entry
+const updateEntry = (entry, body, fields) => {
+    fields.forEach(field => {
+        if(body[field] !== undefined) entry[field] = body[field];
+    });
+    // A current position has no end date
+    if(entry.current) entry.to = undefined;
+};
+
+// Entries in the order of the given ids, or null unless the ids are exactly those of the entries
+const reorderEntries = (entries, order) => {
+    if(!Array.isArray(order) || order.length !== entries.length || new Set(order).size !== order.length) return null;
+
+    const reordered = order.map(id => entries.id(id));
+    return reordered.every(entry => entry) ? reordered.map(entry => entry.toObject()) : null;
+};
+
+// Keeps the uploaded import file in memory, it is parsed and thrown away
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES, files: 1 } }).single('file');
+const uploadImport = (req, res, next) => upload(req, res, err => {
+    if(err) {
+        return res.status(400).json({ errors: [{msg: err.code == 'LIMIT_FILE_SIZE' ? 'Import file is too large' : err.message}] });
+    }
+    next();
+});
+
+// Repeated or nested query parameters arrive as arrays or objects, only plain strings are used
+const queryValue = value => typeof value === 'string' ? value : undefined;
+
+const parsePositiveInt = (value, fallback, max = Infinity) => {
+    value = parseInt(value, 10);
+    if(isNaN(value) || value < 1) return fallback;
+    return Math.min(value, max);
+};
 
 // @route   GET api/profile/me
 // @desc    Get current users profile based on token
@@ -27,6 +96,33 @@ router.get('/me', auth, async (req, res) => {
     }
 });
 
+// @route   GET api/profile/connections
+// @desc    Get users current user follows or is followed by
+// @access  Private
+router.get('/connections', auth, async (req, res) => {
+    try {
+        const [profile, following] = await Promise.all([
+            Profile.findOne({ user: req.user.id }).populate('followers.user', ['name', 'avatar']),
+            Profile.find({ 'followers.user': req.user.id }).populate('user', ['name', 'avatar'])
+        ]);
+
+        const users = {};
+        if(profile) {
+            profile.followers.forEach(follower => {
+                if(follower.user) users[follower.user.id] = follower.user;
+            });
+        }
+        following.forEach(followed => {
+            if(followed.user) users[followed.user.id] = followed.user;
+        });
+
+        res.json(Object.values(users).sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
 // @route   POST api/profile/
 // @desc    Create or update user profile
 // @access  Private
@@ -58,7 +154,8 @@ router.post('/', [auth, [
             twitter,
             website,
             linkedin,
-            devpost
+            devpost,
+            codeHosts
         } = req.body;
 
         // Build profile object
@@ -74,6 +171,14 @@ router.post('/', [auth, [
             profileFields.skills = skills.split(',').map(skill => skill.trim());
         }
 
+        if (codeHosts !== undefined) {
+            const parsed = parseCodeHosts(codeHosts);
+            if(parsed.error) {
+                return res.status(400).json({ errors: [{msg: parsed.error}] });
+            }
+            profileFields.codeHosts = parsed.codeHosts;
+        }
+
         // Build social object
         profileFields.social = {};
         if (youtube) profileFields.social.youtube = youtube;
@@ -85,6 +190,7 @@ router.post('/', [auth, [
 
         try {
             let profile = await Profile.findOne({ user: req.user.id });
+            const previousGithub = profile && profile.githubusername;
             if(profile) {
                 // Update
                 profile = await Profile.findOneAndUpdate(
@@ -92,15 +198,20 @@ router.post('/', [auth, [
                     { $set: profileFields },
                     { new: true }
                 );
-                return res.json(profile);
-            }
+            } else {
+                // Create
+                profile = new Profile(profileFields);
 
-            // Create
-            profile = new Profile(profileFields);
+                await profile.save();
+            }
 
-            await profile.save();
             res.json(profile);
 
+            // Summarize a new GitHub account right away rather than on the next job run
+            if(profile.githubusername && profile.githubusername != previousGithub) {
+                refreshGithubSummary(profile).catch(err => console.error(err.message));
+            }
+
         } catch (err) {
             console.error(err.message);
             res.status(500).send('Server Error');
@@ -109,12 +220,43 @@ router.post('/', [auth, [
 );
 
 // @route   GET api/profile
-// @desc    Get all profiles
+// @desc    Get profiles, filtered by skills, location, status and company
 // @access  Public
 router.get('/', async (req, res) => {
     try {
-        const profiles = await Profile.find().populate('user', ['name', 'avatar']);
-        res.json(profiles);
+        const location = queryValue(req.query.location);
+        const status = queryValue(req.query.status);
+        const company = queryValue(req.query.company);
+        const skills = parseList(req.query.skills);
+        const sort = PROFILE_SORTS[req.query.sort] || PROFILE_SORTS.newest;
+        const limit = parsePositiveInt(req.query.limit, PROFILE_LIMIT_DEFAULT, PROFILE_LIMIT_MAX);
+        const page = parsePositiveInt(req.query.page, 1);
+
+        // Build filter object, leaving out profiles hidden after being reported or being deleted
+        const filter = { hidden: { $ne: true }, deleting: { $ne: true } };
+        if (skills.length > 0) {
+            filter.skills = { $all: skills.map(skill => new RegExp(`^${escapeRegExp(skill)}$`, 'i')) };
+        }
+        if (location) filter.location = new RegExp(escapeRegExp(location), 'i');
+        if (status) filter.status = status;
+        if (company) filter.company = new RegExp(escapeRegExp(company), 'i');
+
+        const [profiles, total] = await Promise.all([
+            Profile.find(filter)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-githubSummary')
+                .populate('user', ['name', 'avatar']),
+            Profile.countDocuments(filter)
+        ]);
+
+        res.json({
+            profiles,
+            total,
+            page,
+            pages: Math.ceil(total / limit)
+        });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server Error');
@@ -127,10 +269,14 @@ router.get('/', async (req, res) => {
 router.get('/user/:user_id', async (req, res) => {
     try {
         const profile = await Profile.findOne({ user: req.params.user_id }).populate('user', ['name', 'avatar']);
-        if(!profile) {
+        // Reported profiles stay hidden until a moderator reviews them
+        if(!profile || profile.hidden || profile.deleting) {
             return res.status(400).json( {errors: [{msg: 'User does not have public profile'}] });
         }
-        res.json(profile);
+
+        const followingCount = await Profile.countDocuments({ 'followers.user': req.params.user_id });
+
+        res.json({ ...profile.toJSON(), followingCount });
     } catch (err) {
         console.error(err.message);
         if(err.kind == 'ObjectId') {
@@ -140,20 +286,127 @@ router.get('/user/:user_id', async (req, res) => {
     }
 });
 
-// @route   DELETE api/profile
-// @desc    Delete profile, user & post
+// @route   GET api/profile/user/:user_id/repos
+// @desc    Get latest repos from each of a profile's code hosts, in one shape whatever the provider
 // @access  Public
-router.delete('/', auth, async (req, res) => {
+router.get('/user/:user_id/repos', async (req, res) => {
     try {
-        // Remove user posts
-        await Post.deleteMany({ user: req.user.id });
+        const profile = await Profile.findOne({ user: req.params.user_id }).select('githubusername codeHosts hidden deleting');
+        if(!profile || profile.hidden || profile.deleting) {
+            return res.status(400).json( {errors: [{msg: 'User does not have public profile'}] });
+        }
 
-        // Remove profile
-        await Profile.findOneAndRemove({ user: req.user.id });
-        // Remove user
-        await User.findOneAndRemove({ _id: req.user.id });
+        res.json(await getCodeHostRepos(profile));
+    } catch (err) {
+        console.error(err.message);
+        if(err.kind == 'ObjectId') {
+            return res.status(400).json( {errors: [{msg: 'User does not exist'}] });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET api/profile/user/:user_id/resume
+// @desc    Download profile as a résumé, a PDF or JSON Resume with ?format=json
+// @access  Public
+router.get('/user/:user_id/resume', async (req, res) => {
+    try {
+        const profile = await Profile.findOne({ user: req.params.user_id }).populate('user', ['name', 'avatar']);
+        if(!profile || profile.hidden || profile.deleting) {
+            return res.status(400).json( {errors: [{msg: 'User does not have public profile'}] });
+        }
+
+        const resume = toJsonResume(profile);
+        const filename = `${profile.user.name.replace(/[^\w-]+/g, '-')}-resume`;
+
+        if(req.query.format === 'json') {
+            res.attachment(`${filename}.json`);
+            return res.send(JSON.stringify(resume, null, 2));
+        }
 
-        res.json({ msg: 'User deleted' });
+        res.attachment(`${filename}.pdf`);
+        renderResumePdf(resume, res);
+    } catch (err) {
+        console.error(err.message);
+        if(err.kind == 'ObjectId') {
+            return res.status(400).json( {errors: [{msg: 'User does not exist'}] });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/profile/follow/:user_id
+// @desc    Follow a user
+// @access  Private
+router.put('/follow/:user_id', auth, async (req, res) => {
+    if(req.params.user_id == req.user.id) {
+        return res.status(400).json( {errors: [{msg: 'You cannot follow yourself'}] });
+    }
+
+    try {
+        const profile = await Profile.findOne({ user: req.params.user_id });
+        if(!profile) {
+            return res.status(404).json( {errors: [{msg: 'Profile not found'}] });
+        }
+
+        // Check if the user is already followed
+        if(profile.followers.some(follower => follower.user.toString() == req.user.id)) {
+            return res.status(400).json( {errors: [{msg: 'Already following user'}] });
+        }
+
+        profile.followers.unshift({ user: req.user.id });
+        await profile.save();
+
+        notify({ user: profile.user, actor: req.user.id, type: 'follow' });
+
+        res.json(profile.followers);
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json( {errors: [{msg: 'Profile not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/profile/unfollow/:user_id
+// @desc    Unfollow a user
+// @access  Private
+router.put('/unfollow/:user_id', auth, async (req, res) => {
+    try {
+        const profile = await Profile.findOne({ user: req.params.user_id });
+        if(!profile) {
+            return res.status(404).json( {errors: [{msg: 'Profile not found'}] });
+        }
+
+        // Get remove index
+        const removeIndex = profile.followers.map(follower => follower.user.toString()).indexOf(req.user.id);
+        if(removeIndex < 0) {
+            return res.status(400).json( {errors: [{msg: 'Not following user'}] });
+        }
+
+        profile.followers.splice(removeIndex, 1);
+        await profile.save();
+
+        res.json(profile.followers);
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json( {errors: [{msg: 'Profile not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE api/profile
+// @desc    Schedule deletion of profile, user, posts and everything the user left on
+//          other posts, after a grace period in which the account can be restored
+// @access  Private
+router.delete('/', auth, async (req, res) => {
+    try {
+        const deleteAfter = await scheduleDeletion(req.user.id);
+
+        res.json({ msg: 'User scheduled for deletion', deleteAfter });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server Error');
@@ -213,6 +466,68 @@ router.put('/experience', [auth, [
     }
 });
 
+// @route   PUT api/profile/experience/order
+// @desc    Reorder profile experience, body holds every experience id in the new order
+// @access  Private
+router.put('/experience/order', auth, async (req, res) => {
+    try {
+        const profile = await Profile.findOne({ user: req.user.id });
+        const experience = profile && reorderEntries(profile.experience, req.body.order);
+
+        if(!experience) {
+            return res.status(400).json({ errors: [{msg: 'Order must list every experience once'}] });
+        }
+
+        profile.experience = experience;
+        await profile.save();
+
+        res.json(profile);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PATCH api/profile/experience/:exp_id
+// @desc    Update a profile experience
+// @access  Private
+router.patch('/experience/:exp_id', [auth, [
+    check('title', 'Title is required')
+        .optional()
+        .not()
+        .isEmpty(),
+    check('company', 'Company is required')
+        .optional()
+        .not()
+        .isEmpty(),
+    check('from', 'Form date is required')
+        .optional()
+        .not()
+        .isEmpty()
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const profile = await Profile.findOne({ user: req.user.id });
+        const exp = profile && profile.experience.id(req.params.exp_id);
+
+        if(!exp) {
+            return res.status(404).json({ errors: [{msg: 'Experience not found'}] });
+        }
+
+        updateEntry(exp, req.body, EXPERIENCE_FIELDS);
+        await profile.save();
+
+        res.json(profile);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
 // @route   DELETE api/profile/experience/:exp_id
 // @desc    Delete a profile experience
 // @access  Private
@@ -293,6 +608,72 @@ router.put('/education', [auth, [
     }
 });
 
+// @route   PUT api/profile/education/order
+// @desc    Reorder profile education, body holds every education id in the new order
+// @access  Private
+router.put('/education/order', auth, async (req, res) => {
+    try {
+        const profile = await Profile.findOne({ user: req.user.id });
+        const education = profile && reorderEntries(profile.education, req.body.order);
+
+        if(!education) {
+            return res.status(400).json({ errors: [{msg: 'Order must list every education once'}] });
+        }
+
+        profile.education = education;
+        await profile.save();
+
+        res.json(profile);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PATCH api/profile/education/:edu_id
+// @desc    Update a profile education
+// @access  Private
+router.patch('/education/:edu_id', [auth, [
+    check('school', 'School is required')
+        .optional()
+        .not()
+        .isEmpty(),
+    check('degree', 'Degree is required')
+        .optional()
+        .not()
+        .isEmpty(),
+    check('fieldofstudy', 'Field of study is required')
+        .optional()
+        .not()
+        .isEmpty(),
+    check('from', 'Form date is required')
+        .optional()
+        .not()
+        .isEmpty()
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const profile = await Profile.findOne({ user: req.user.id });
+        const edu = profile && profile.education.id(req.params.edu_id);
+
+        if(!edu) {
+            return res.status(404).json({ errors: [{msg: 'Education not found'}] });
+        }
+
+        updateEntry(edu, req.body, EDUCATION_FIELDS);
+        await profile.save();
+
+        res.json(profile);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
 // @route   DELETE api/profile/education/:exp_id
 // @desc    Delete a profile education
 // @access  Private
@@ -315,27 +696,145 @@ router.delete('/education/:edu_id', auth, async (req, res) => {
     }
 });
 
-// @route   GET api/profile/github/:username
-// @desc    Get user repos from GitHub
-// @access  Public
-router.get('/github/:username', (req, res) => {
+// @route   POST api/profile/import/preview
+// @desc    Read a JSON Resume or LinkedIn export and show how it would change the profile, without saving
+// @access  Private
+router.post('/import/preview', [auth, uploadImport], async (req, res) => {
+    if(!req.file) {
+        return res.status(400).json({ errors: [{msg: 'Choose a file to import'}] });
+    }
+
+    const imported = parseImportFile(req.file.buffer, req.file.originalname);
+    if(!imported) {
+        return res.status(400).json({ errors: [{msg: 'File is not a JSON Resume or LinkedIn data export'}] });
+    }
+
     try {
-        const options = {
-            uri: `https://api.github.com/users/${req.params.username}/repos?per-page=5&sort=created:asc&client_id=${config.get('githubClientId')}&client_secret=${config.get('githubSecret')}`,
-            method: 'GET',
-            headers: { 'user-agent': 'node.js' }
-        };
+        const profile = await Profile.findOne({ user: req.user.id });
+
+        res.json(buildImportPreview(profile, imported));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/profile/import
+// @desc    Apply a confirmed import, setting the chosen fields and adding new experience and education
+// @access  Private
+router.post('/import', [auth, [
+    check('experience.*.title', 'Experience title is required')
+        .not()
+        .isEmpty(),
+    check('experience.*.company', 'Experience company is required')
+        .not()
+        .isEmpty(),
+    check('experience.*.from', 'Experience from date is required')
+        .not()
+        .isEmpty(),
+    // Required above, so only values that are there have to be dates
+    check('experience.*.from', 'Experience from date must be a date')
+        .optional({ checkFalsy: true })
+        .isISO8601(),
+    check('experience.*.to', 'Experience to date must be a date')
+        .optional({ checkFalsy: true })
+        .isISO8601(),
+    check('education.*.school', 'Education school is required')
+        .not()
+        .isEmpty(),
+    check('education.*.degree', 'Education degree is required')
+        .not()
+        .isEmpty(),
+    check('education.*.fieldofstudy', 'Education field of study is required')
+        .not()
+        .isEmpty(),
+    check('education.*.from', 'Education from date is required')
+        .not()
+        .isEmpty(),
+    check('education.*.from', 'Education from date must be a date')
+        .optional({ checkFalsy: true })
+        .isISO8601(),
+    check('education.*.to', 'Education to date must be a date')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fields = req.body.profile || {};
+    const profileFields = { social: {} };
+    IMPORT_FIELDS.filter(field => fields[field]).forEach(field => {
+        if(field == 'skills') {
+            profileFields.skills = [].concat(fields.skills).map(skill => String(skill).trim()).filter(skill => skill);
+        } else if(SOCIAL_NETWORKS[field]) {
+            profileFields.social[field] = String(fields[field]);
+        } else {
+            profileFields[field] = String(fields[field]);
+        }
+    });
+
+    const pick = (entries, keys) => [].concat(entries || []).map(entry => keys.reduce((picked, key) => {
+        if(entry[key] !== undefined) picked[key] = entry[key];
+        return picked;
+    }, {}));
+    const experience = pick(req.body.experience, EXPERIENCE_FIELDS);
+    const education = pick(req.body.education, EDUCATION_FIELDS);
 
-        request(options, (error, response, body) => {
-            if (error) console.error(error);
+    try {
+        let profile = await Profile.findOne({ user: req.user.id });
 
-            if(response.statusCode != 200) {
-                return res.status(400).json({ msg: 'No Github profile found' });
+        if(!profile) {
+            if(!profileFields.status || !profileFields.skills || profileFields.skills.length == 0) {
+                return res.status(400).json({ errors: [{msg: 'Status and skills are required to create a profile'}] });
             }
+            profile = new Profile({ user: req.user.id });
+        }
 
-            res.json(JSON.parse(body));
-        });
+        const { social, ...rest } = profileFields;
+        profile.set(rest);
+        Object.keys(social).forEach(key => profile.set(`social.${key}`, social[key]));
+
+        // Imported entries go first, as if each had been added by hand, skipping any already there
+        profile.experience.unshift(...experience.filter(exp =>
+            !profile.experience.some(existing => isSameExperience(existing, exp))));
+        profile.education.unshift(...education.filter(edu =>
+            !profile.education.some(existing => isSameEducation(existing, edu))));
+
+        await profile.save();
+
+        res.json(profile);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET api/profile/github/:username
+// @desc    Get user repos from GitHub, served from cache when GitHub is slow, down or rate limited
+// @access  Public
+router.get('/github/:username', async (req, res) => {
+    if(!isGithubUsername(req.params.username)) {
+        return res.status(400).json({ msg: 'Invalid Github username' });
+    }
+
+    try {
+        const { data, stale } = await github.getRepos(req.params.username);
+
+        if(stale) res.set('Warning', '110 - "Response is Stale"');
+        res.json(data);
     } catch (err) {
+        if(err.status == 404) {
+            return res.status(404).json({ msg: 'No Github profile found' });
+        }
+        if(err.status == 429) {
+            res.set('Retry-After', Math.max(1, Math.ceil((err.resetAt - Date.now()) / 1000)));
+            return res.status(503).json({ msg: 'Github is busy, try again later' });
+        }
+        if(err.status == 502) {
+            return res.status(502).json({ msg: 'Github is unavailable' });
+        }
         console.error(err.message);
         res.status(500).send('Server Error');
     }
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator/check');
+const auth = require('../../middleware/auth');
+const authorize = require('../../middleware/authorize');
+const configOr = require('../../utils/configOr');
+const { canView } = require('../../utils/postVisibility');
+
+const Report = require('../../models/Report');
+const Post = require('../../models/Post');
+const Profile = require('../../models/Profile');
+
+const REPORT_TARGETS = ['post', 'comment', 'profile'];
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'other'];
+const REPORT_STATUSES = ['open', 'actioned', 'dismissed'];
+const QUEUE_LIMIT = 100;
+
+// Open reports from different users it takes to hide content until reviewed
+const reportThreshold = () => configOr('reportThreshold', 3);
+
+// Finds reported content as { doc, post, author, content }, or null when it is gone.
+// post is the document to save, which for a comment is the post holding it.
+const findTarget = async ({ targetType, target, post }) => {
+    switch(targetType) {
+        case 'post': {
+            const doc = await Post.findById(target);
+            return doc && { doc, post: doc, author: doc.user, content: doc.text };
+        }
+        case 'comment': {
+            const parent = await Post.findById(post);
+            const doc = parent && parent.comments.id(target);
+            return doc && { doc, post: parent, author: doc.user, content: doc.text };
+        }
+        default: {
+            const doc = await Profile.findById(target);
+            const content = doc && [doc.status, doc.company, doc.bio].filter(Boolean).join('\n');
+            return doc && { doc, author: doc.user, content };
+        }
+    }
+};
+
+const setHidden = async ({ doc, post }, hidden) => {
+    doc.hidden = hidden;
+    await (post || doc).save();
+};
+
+// @route   POST api/reports
+// @desc    Report a post, comment or profile
+// @access  Private
+router.post('/', [auth, [
+    check('targetType', `Target type must be one of ${REPORT_TARGETS.join(', ')}`)
+        .isIn(REPORT_TARGETS),
+    check('target', 'Target is not valid')
+        .isMongoId(),
+    check('post', 'Post of reported comment is required')
+        .if(check('targetType').equals('comment'))
+        .isMongoId(),
+    check('reason', `Reason must be one of ${REPORT_REASONS.join(', ')}`)
+        .isIn(REPORT_REASONS),
+    check('details', 'Details must be 500 characters or less')
+        .optional()
+        .isLength({ max: 500 })
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetType, target, reason, details } = req.body;
+
+    try {
+        const found = await findTarget(req.body);
+
+        // Content the user can't see is treated as missing
+        if(!found || (found.post && !(await canView(found.post, req.user.id)))) {
+            return res.status(404).json({ errors: [{msg: 'Reported content not found'}] });
+        }
+
+        if(found.author.toString() == req.user.id) {
+            return res.status(400).json({ errors: [{msg: 'You can not report your own content'}] });
+        }
+
+        if(await Report.exists({ reporter: req.user.id, target })) {
+            return res.status(400).json({ errors: [{msg: 'You have already reported this'}] });
+        }
+
+        const report = await new Report({
+            reporter: req.user.id,
+            targetType,
+            target,
+            post: targetType === 'comment' ? req.body.post : undefined,
+            author: found.author,
+            content: found.content,
+            reason,
+            details
+        }).save();
+
+        // Hide content once enough users reported it
+        const openReports = await Report.countDocuments({ target, status: 'open' });
+        if(!found.doc.hidden && openReports >= reportThreshold()) {
+            await setHidden(found, true);
+        }
+
+        res.json(report);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET api/reports
+// @desc    Get moderation queue, open reports unless another status is asked for
+// @access  Moderator
+router.get('/', [auth, authorize('moderator')], async (req, res) => {
+    const status = REPORT_STATUSES.includes(req.query.status) ? req.query.status : 'open';
+
+    try {
+        const reports = await Report.find({ status })
+            .sort({ date: status === 'open' ? 1 : -1 })
+            .limit(QUEUE_LIMIT)
+            .populate('reporter', ['name', 'avatar'])
+            .populate('author', ['name', 'avatar'])
+            .populate('handledBy', ['name']);
+
+        res.json(reports);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   PUT api/reports/:id
+// @desc    Action or dismiss a report, along with the other open reports of the same content.
+//          Actioned content stays hidden, dismissed content is shown again.
+// @access  Moderator
+router.put('/:id', [auth, authorize('moderator'), [
+    check('status', 'Status must be actioned or dismissed')
+        .isIn(['actioned', 'dismissed'])
+]], async (req, res) => {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status } = req.body;
+
+    try {
+        const report = await Report.findById(req.params.id);
+
+        if(!report) {
+            return res.status(404).json({ errors: [{msg: 'Report not found'}] });
+        }
+
+        await Report.updateMany(
+            { target: report.target, status: 'open' },
+            { $set: { status, handledBy: req.user.id, handledDate: Date.now() } }
+        );
+
+        const found = await findTarget(report);
+        if(found && !!found.doc.hidden !== (status === 'actioned')) {
+            await setHidden(found, status === 'actioned');
+        }
+
+        res.json({ target: report.target, status });
+    } catch (err) {
+        if(err.kind == 'ObjectId') {
+            return res.status(404).json({ errors: [{msg: 'Report not found'}] });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+module.exports = router;
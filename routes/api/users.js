@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const gravatar = require('gravatar');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const config = require('config');
 const { check, validationResult } = require('express-validator/check/index');
+const auth = require('../../middleware/auth');
+const { issueTokens } = require('../../utils/tokens');
+const { sendVerificationMail } = require('../../utils/accountMail');
+const { userFromVerificationToken } = require('../../utils/accountTokens');
+const { collectUserData, sendExportArchive } = require('../../utils/exportData');
+const { restoreAccount } = require('../../utils/accountDeletion');
 
 const User = require('../../models/User');
 
@@ -55,22 +59,95 @@ router.post('/', [
         user.password = await bcrypt.hash(password, salt);
         await user.save();
 
-        // Return jsonwebtoken
-        const payload = {
-            user: {
-                id: user.id
-            }
-        };
-
-        jwt.sign(
-            payload,
-            config.get('jwtSecret'),
-            { expiresIn: config.get('jwtTokenTimeout') },
-            (err, token) => {
-                if (err) throw err;
-                res.json({ token });
-        });
+        // Registration does not wait for, or fail on, the verification mail
+        sendVerificationMail(user).catch(err => console.error(err.message));
+
+        // Return jsonwebtoken and refresh token
+        res.json(await issueTokens(user.id, req.header('user-agent')));
+
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   GET api/users/verify/:token
+// @desc    Verify email address with the token mailed on register
+// @access  Public
+router.get('/verify/:token', async (req, res) => {
+    try {
+        const user = await userFromVerificationToken(req.params.token);
+
+        if(!user) {
+            return res.status(400).json( {errors: [{msg: 'Verification link is not valid or has expired'}] });
+        }
+
+        if(!user.verified) {
+            user.verified = true;
+            await user.save();
+        }
+
+        res.json({ msg: 'Email verified' });
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   POST api/users/verify
+// @desc    Send the verification mail again
+// @access  Private
+router.post('/verify', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if(user.verified) {
+            return res.status(400).json( {errors: [{msg: 'Email is already verified'}] });
+        }
+
+        await sendVerificationMail(user);
+
+        res.json({ msg: 'Verification email sent' });
+    } catch(err) {
+        console.error(err.message);
+        res.status(500).send('Server error')
+    }
+});
+
+// @route   GET api/users/me/export
+// @desc    Download a zip of all data of current user, as JSON and Markdown
+// @access  Private
+router.get('/me/export', auth, async (req, res) => {
+    try {
+        const data = await collectUserData(req.user.id);
+
+        if(!data.user) {
+            return res.status(404).json( {errors: [{msg: 'User not found'}] });
+        }
+
+        await sendExportArchive(res, data);
+    } catch(err) {
+        console.error(err.message);
+        if(!res.headersSent) {
+            res.status(500).send('Server error');
+        }
+    }
+});
+
+// @route   POST api/users/me/restore
+// @desc    Cancel scheduled deletion of current user
+// @access  Private
+router.post('/me/restore', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if(!user.deleteAfter) {
+            return res.status(400).json( {errors: [{msg: 'Account is not scheduled for deletion'}] });
+        }
+
+        await restoreAccount(req.user.id);
 
+        res.json({ msg: 'Account restored' });
     } catch(err) {
         console.error(err.message);
         res.status(500).send('Server error')
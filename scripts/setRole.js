@@ -0,0 +1,24 @@
+// Sets the role of a user, e.g. to create the first admin:
+//   npm run set-role -- jane@example.com admin
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { ROLES } = require('../utils/roles');
+
+const User = require('../models/User');
+
+const [email, role] = process.argv.slice(2);
+
+if(!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+}
+
+(async () => {
+    await connectDB();
+
+    const user = await User.findOneAndUpdate({ email }, { role }, { new: true });
+    console.log(user ? `${user.email} is now ${user.role}` : `No user with email ${email}`);
+
+    await mongoose.disconnect();
+    process.exit(user ? 0 : 1);
+})();
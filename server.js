@@ -1,7 +1,12 @@
+const http = require('http');
 const express = require('express');
 const connectDB = require('./config/db');
+const { initSocket } = require('./utils/socket');
+const { startDeletionJob } = require('./utils/accountDeletion');
+const { startGithubSummaryJob } = require('./utils/githubSummary');
 
 const app = express();
+const server = http.createServer(app);
 
 // Connect Database
 connectDB();
@@ -16,9 +21,22 @@ app.use('/api/users', require('./routes/api/users'));
 app.use('/api/profile', require('./routes/api/profile'));
 app.use('/api/auth', require('./routes/api/auth'));
 app.use('/api/posts', require('./routes/api/posts'));
+app.use('/api/messages', require('./routes/api/messages'));
+app.use('/api/notifications', require('./routes/api/notifications'));
+app.use('/api/admin', require('./routes/api/admin'));
+app.use('/api/reports', require('./routes/api/reports'));
+
+// Init real-time updates
+initSocket(server);
+
+// Purge accounts whose deletion grace period has ended
+startDeletionJob();
+
+// Keep the GitHub summaries shown on profiles up to date
+startGithubSummaryJob();
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+server.listen(PORT, () => {
     console.log(`Server started on port ${PORT}`);
 });
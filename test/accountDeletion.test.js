@@ -0,0 +1,38 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const { purgeAccount } = require('../utils/accountDeletion');
+
+const USER_ID = '5e0a4e1f9d1c2b3a4f5e6d7c';
+
+describe('purgeAccount', () => {
+    beforeEach(() => {
+        [User, Profile, Post, Notification, Conversation, Message, Report, RefreshToken, LoginAttempt].forEach(model => {
+            ['deleteOne', 'deleteMany', 'updateOne', 'updateMany'].forEach(method => jest.spyOn(model, method).mockResolvedValue());
+        });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('removes only the messages the user sent and keeps the other side of the thread', async () => {
+        const reply = { text: 'Thanks!', sender: 'other', date: new Date() };
+        jest.spyOn(Conversation, 'find').mockReturnValue({ select: () => Promise.resolve([{ _id: 'kept' }, { _id: 'empty' }]) });
+        jest.spyOn(Message, 'findOne').mockImplementation(({ conversation }) => ({
+            sort: () => Promise.resolve(conversation == 'kept' ? reply : null)
+        }));
+
+        await purgeAccount(USER_ID);
+
+        expect(Message.deleteMany).toHaveBeenCalledWith({ sender: USER_ID });
+        expect(Conversation.updateOne).toHaveBeenCalledWith({ _id: 'kept' }, { $set: { lastMessage: reply } });
+        expect(Conversation.deleteOne).toHaveBeenCalledWith({ _id: 'empty' });
+        expect(Conversation.deleteMany).not.toHaveBeenCalled();
+        expect(User.deleteOne).toHaveBeenCalledWith({ _id: USER_ID });
+    });
+});
@@ -0,0 +1,49 @@
+const express = require('express');
+const request = require('supertest');
+
+const User = require('../models/User');
+const { setTransport } = require('../utils/mail');
+
+const app = express();
+app.use(express.json({ extended: false }));
+app.use('/api/auth', require('../routes/api/auth'));
+
+const REGISTERED = 'jane@example.com';
+
+describe('asking for a password reset', () => {
+    let send;
+
+    beforeEach(() => {
+        send = jest.fn().mockResolvedValue();
+        setTransport(send);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(User, 'findOne').mockImplementation(({ email }) => Promise.resolve(email == REGISTERED
+            ? new User({ name: 'Jane', email: REGISTERED, password: 'hash' })
+            : null));
+    });
+
+    afterEach(() => {
+        setTransport(null);
+        jest.restoreAllMocks();
+    });
+
+    const forgot = email => request(app).post('/api/auth/forgot').send({ email });
+
+    it('mails a reset link to registered emails only', async () => {
+        await forgot(REGISTERED);
+        await forgot('nobody@example.com');
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send.mock.calls[0][0]).toMatchObject({ to: REGISTERED, text: expect.stringContaining('/reset-password/') });
+    });
+
+    it('answers the same when the mail cannot be sent', async () => {
+        send.mockRejectedValue(new Error('Connection refused'));
+
+        const [registered, unknown] = [await forgot(REGISTERED), await forgot('nobody@example.com')];
+
+        expect(registered.status).toBe(200);
+        expect(registered.body).toEqual(unknown.body);
+        expect(console.error).toHaveBeenCalledWith('Connection refused');
+    });
+});
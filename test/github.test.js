@@ -0,0 +1,94 @@
+const { createGithubClient, isGithubUsername } = require('../utils/github');
+const { startStubServer, sendJson } = require('./stubServer');
+
+describe('createGithubClient', () => {
+    let server;
+    let respond;
+
+    beforeAll(async () => {
+        server = await startStubServer((req, res) => respond(req, res));
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(() => {
+        server.requests.length = 0;
+    });
+
+    it('authenticates with a token', async () => {
+        respond = (req, res) => sendJson(res, 200, []);
+        await createGithubClient({ baseUrl: server.url, token: 'secret' }).getRepos('octocat');
+
+        const [request] = server.requests;
+        expect(request.headers.authorization).toBe('token secret');
+        expect(request.headers.accept).toBe('application/vnd.github+json');
+    });
+
+    it('falls back to the OAuth app credentials', async () => {
+        respond = (req, res) => sendJson(res, 200, []);
+        await createGithubClient({ baseUrl: server.url, clientId: 'id', clientSecret: 'secret' }).getRepos('octocat');
+
+        expect(server.requests[0].headers.authorization).toBe(`Basic ${Buffer.from('id:secret').toString('base64')}`);
+    });
+
+    it('lists the oldest repos of a user', async () => {
+        const repos = [{ id: 1, name: 'hello-world' }];
+        respond = (req, res) => sendJson(res, 200, repos);
+
+        const result = await createGithubClient({ baseUrl: server.url }).getRepos('octocat', { perPage: 3 });
+
+        expect(result).toEqual({ data: repos, stale: false });
+        expect(server.requests[0].path).toBe('/users/octocat/repos');
+        expect(server.requests[0].query).toEqual({ per_page: '3', sort: 'created', direction: 'asc' });
+        expect(server.requests[0].headers.authorization).toBeUndefined();
+    });
+
+    it('revalidates repos with their ETag', async () => {
+        const repos = [{ id: 1, name: 'hello-world' }];
+        respond = (req, res) => req.headers['if-none-match'] == 'W/"abc"'
+            ? sendJson(res, 304)
+            : sendJson(res, 200, repos, { ETag: 'W/"abc"' });
+        const github = createGithubClient({ baseUrl: server.url, freshSeconds: 0 });
+
+        await github.getRepos('octocat');
+        expect(await github.getRepos('octocat')).toEqual({ data: repos, stale: false });
+        expect(server.requests[1].headers['if-none-match']).toBe('W/"abc"');
+    });
+
+    it('queries GraphQL with a token only', async () => {
+        respond = (req, res) => sendJson(res, 200, { data: { viewer: { login: 'octocat' } } });
+        const query = '{ viewer { login } }';
+
+        expect(await createGithubClient({ baseUrl: server.url }).graphql(query)).toBeNull();
+        expect(server.requests).toHaveLength(0);
+
+        const data = await createGithubClient({ baseUrl: server.url, token: 'secret' }).graphql(query, { first: 1 });
+        expect(data).toEqual({ viewer: { login: 'octocat' } });
+        expect(server.requests[0]).toMatchObject({
+            method: 'POST',
+            path: '/graphql',
+            body: { query, variables: { first: 1 } }
+        });
+    });
+
+    it('resolves GraphQL errors to null', async () => {
+        respond = (req, res) => sendJson(res, 200, { errors: [{ message: 'Could not resolve' }] });
+
+        expect(await createGithubClient({ baseUrl: server.url, token: 'secret' }).graphql('{ viewer { login } }')).toBeNull();
+    });
+});
+
+describe('isGithubUsername', () => {
+    it('accepts GitHub logins', () => {
+        expect(isGithubUsername('octocat')).toBe(true);
+        expect(isGithubUsername('my-name-1')).toBe(true);
+    });
+
+    it('rejects anything else', () => {
+        expect(isGithubUsername('-octocat')).toBe(false);
+        expect(isGithubUsername('octo--cat')).toBe(false);
+        expect(isGithubUsername('octocat/repo')).toBe(false);
+        expect(isGithubUsername('a'.repeat(40))).toBe(false);
+        expect(isGithubUsername(undefined)).toBe(false);
+    });
+});
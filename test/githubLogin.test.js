@@ -0,0 +1,190 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { startStubServer, sendJson } = require('./stubServer');
+
+jest.mock('../utils/tokens', () => ({
+    issueTokens: jest.fn().mockResolvedValue({ token: 'access-token', refreshToken: 'refresh-token' }),
+    rotateRefreshToken: jest.fn(),
+    revokeRefreshToken: jest.fn(),
+    revokeAllRefreshTokens: jest.fn()
+}));
+
+const ACCOUNT = { id: 4242, login: 'octocat', name: 'The Octocat', avatar_url: 'https://avatars.example.com/octocat' };
+
+describe('signing in with GitHub', () => {
+    let provider;
+    let emails;
+    let app;
+    let User;
+    let Profile;
+    let issueTokens;
+
+    beforeAll(async () => {
+        // Stands in for both github.com and api.github.com
+        provider = await startStubServer((req, res) => {
+            if(req.path == '/login/oauth/access_token') {
+                return sendJson(res, 200, req.body.code == 'valid-code'
+                    ? { access_token: 'gho_token', token_type: 'bearer' }
+                    : { error: 'bad_verification_code' });
+            }
+            if(req.headers.authorization != 'token gho_token') return sendJson(res, 401, { message: 'Bad credentials' });
+            if(req.path == '/user') return sendJson(res, 200, ACCOUNT);
+            if(req.path == '/user/emails') return sendJson(res, 200, emails);
+            sendJson(res, 404, { message: 'Not Found' });
+        });
+
+        // Read once when the modules load, so it is set before requiring them
+        process.env.NODE_CONFIG = JSON.stringify({
+            githubClientId: 'client-id',
+            githubSecret: 'client-secret',
+            github: {
+                baseUrl: provider.url,
+                oauth: {
+                    authorizeUrl: `${provider.url}/login/oauth/authorize`,
+                    tokenUrl: `${provider.url}/login/oauth/access_token`
+                }
+            }
+        });
+
+        app = express();
+        app.use(express.json({ extended: false }));
+        app.use('/api/auth', require('../routes/api/auth'));
+
+        User = require('../models/User');
+        Profile = require('../models/Profile');
+        ({ issueTokens } = require('../utils/tokens'));
+    });
+
+    afterAll(() => provider.close());
+
+    beforeEach(() => {
+        emails = [{ email: 'Octocat@Example.com', primary: true, verified: true }];
+        jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Profile, 'updateOne').mockResolvedValue();
+        issueTokens.mockClear();
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    // Starts a login the way the browser does, resolving to its state and cookie
+    const startLogin = async () => {
+        const res = await request(app).get('/api/auth/github').expect(200);
+        const url = new URL(res.body.url);
+
+        expect(url.pathname).toBe('/login/oauth/authorize');
+        expect(url.searchParams.get('client_id')).toBe('client-id');
+        return { state: url.searchParams.get('state'), cookie: res.headers['set-cookie'][0].split(';')[0] };
+    };
+
+    const callback = async ({ code = 'valid-code', state, cookie } = {}) => {
+        const login = await startLogin();
+        return request(app)
+            .post('/api/auth/github/callback')
+            .set('Cookie', cookie || login.cookie)
+            .set('User-Agent', 'devconnector-test')
+            .send({ code, state: state || login.state });
+    };
+
+    const findUsers = (byGithubId, byEmail) => jest.spyOn(User, 'findOne')
+        .mockResolvedValueOnce(byGithubId)
+        .mockResolvedValueOnce(byEmail);
+
+    it('refuses a state that does not match the cookie', async () => {
+        jest.spyOn(User, 'findOne');
+        const res = await callback({ state: 'f'.repeat(32) });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].msg).toBe('GitHub sign in expired, please try again');
+        expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a login started in another browser', async () => {
+        const { state } = await startLogin();
+        const res = await request(app).post('/api/auth/github/callback').send({ code: 'valid-code', state });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('refuses a code GitHub turns down', async () => {
+        const res = await callback({ code: 'expired-code' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].msg).toBe('GitHub sign in expired, please try again');
+    });
+
+    it('refuses GitHub accounts without a verified email', async () => {
+        emails = [{ email: 'octocat@example.com', primary: true, verified: false }];
+        jest.spyOn(User, 'findOne');
+        const res = await callback();
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].msg).toBe('Your GitHub account needs a verified primary email');
+        expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('creates a verified user for a new email', async () => {
+        findUsers(null, null);
+        const res = await callback();
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ token: 'access-token', refreshToken: 'refresh-token' });
+
+        const [user] = User.prototype.save.mock.instances;
+        expect(user).toMatchObject({ email: 'octocat@example.com', name: 'The Octocat', verified: true });
+        expect(user.github).toMatchObject({ id: '4242', login: 'octocat' });
+        expect(issueTokens).toHaveBeenCalledWith(user.id, 'devconnector-test');
+    });
+
+    it('links the GitHub account to a verified user with the same email', async () => {
+        const existing = new User({ name: 'Jane', email: 'octocat@example.com', password: 'hash', verified: true });
+        findUsers(null, existing);
+        const res = await callback();
+
+        expect(res.status).toBe(200);
+        expect(existing.github).toMatchObject({ id: '4242', login: 'octocat' });
+        expect(existing.save).toHaveBeenCalled();
+        expect(Profile.updateOne).toHaveBeenCalledWith(
+            { user: existing._id, githubusername: { $in: [null, ''] } },
+            { $set: { githubusername: 'octocat' } }
+        );
+        expect(issueTokens).toHaveBeenCalledWith(existing.id, 'devconnector-test');
+    });
+
+    it('refuses to link an unverified user with the same email', async () => {
+        const existing = new User({ name: 'Jane', email: 'octocat@example.com', password: 'hash', verified: false });
+        findUsers(null, existing);
+        const res = await callback();
+
+        expect(res.status).toBe(409);
+        expect(res.body.errors[0].msg).toMatch(/verify your email/);
+        expect(existing.github.id).toBeUndefined();
+        expect(User.prototype.save).not.toHaveBeenCalled();
+        expect(issueTokens).not.toHaveBeenCalled();
+    });
+
+    it('hands users with two-factor auth over to the second step', async () => {
+        const existing = new User({ name: 'Jane', email: 'octocat@example.com', password: 'hash', verified: true });
+        existing.github = { id: '4242', login: 'octocat' };
+        existing.twoFactor.enabled = true;
+        findUsers(existing);
+        const res = await callback();
+
+        expect(res.status).toBe(200);
+        expect(res.body.twoFactorRequired).toBe(true);
+        expect(jwt.decode(res.body.interimToken).twoFactor.id).toBe(existing.id);
+        expect(issueTokens).not.toHaveBeenCalled();
+    });
+
+    it('refuses suspended users', async () => {
+        const existing = new User({ name: 'Jane', email: 'octocat@example.com', password: 'hash', verified: true, suspended: true });
+        existing.github = { id: '4242', login: 'octocat' };
+        findUsers(existing);
+        const res = await callback();
+
+        expect(res.status).toBe(403);
+        expect(issueTokens).not.toHaveBeenCalled();
+    });
+});
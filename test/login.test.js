@@ -0,0 +1,80 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const app = express();
+app.use(express.json({ extended: false }));
+app.use('/api/auth', require('../routes/api/auth'));
+
+const MINUTE = 60 * 1000;
+const REGISTERED = 'jane@example.com';
+const UNKNOWN = 'nobody@example.com';
+
+describe('logging in after too many failed passwords', () => {
+    // Audited attempts, kept in memory in place of the collection
+    let attempts;
+    let user;
+
+    const matches = (attempt, query) => Object.keys(query).every(key => key == 'date'
+        ? attempt.date >= query.date.$gte
+        : attempt[key] == query[key]);
+    const latest = query => attempts.filter(attempt => matches(attempt, query)).sort((a, b) => b.date - a.date)[0] || null;
+
+    beforeEach(async () => {
+        attempts = [];
+        user = new User({ name: 'Jane', email: REGISTERED, password: await bcrypt.hash('right-password', 4), verified: true });
+
+        jest.spyOn(User, 'findOne').mockImplementation(({ email }) => Promise.resolve(email == REGISTERED ? user : null));
+        jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(LoginAttempt.prototype, 'save').mockImplementation(function () {
+            attempts.push(this);
+            return Promise.resolve(this);
+        });
+        jest.spyOn(LoginAttempt, 'countDocuments').mockImplementation(query => Promise.resolve(attempts.filter(attempt => matches(attempt, query)).length));
+        jest.spyOn(LoginAttempt, 'findOne').mockImplementation(query => ({ sort: () => Promise.resolve(latest(query)) }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const login = email => request(app).post('/api/auth').send({ email, password: 'wrong-password' });
+
+    // Nine failures long enough ago that their backoff is over, then the tenth now
+    const failTenTimes = async email => {
+        for(let i = 0; i < 9; i++) {
+            attempts.push(new LoginAttempt({ email, ip: '10.0.0.1', reason: 'invalid-credentials', date: new Date(Date.now() - 20 * MINUTE) }));
+        }
+        if(email == REGISTERED) user.failedLogins = 9;
+
+        expect((await login(email)).status).toBe(400);
+    };
+
+    it('answers registered and unknown emails alike', async () => {
+        await failTenTimes(REGISTERED);
+        await failTenTimes(UNKNOWN);
+
+        const [registered, unknown] = [await login(REGISTERED), await login(UNKNOWN)];
+
+        expect(user.lockUntil).toBeTruthy();
+        expect(registered.status).toBe(429);
+        expect(unknown.status).toBe(429);
+        expect(Math.abs(registered.headers['retry-after'] - unknown.headers['retry-after'])).toBeLessThanOrEqual(1);
+        expect(Number(unknown.headers['retry-after'])).toBeGreaterThan(29 * 60);
+        expect(unknown.body).toEqual({ errors: [{ msg: `Too many failed attempts, please try again in ${unknown.headers['retry-after']} seconds` }] });
+    });
+
+    it('does not extend the wait for attempts turned away', async () => {
+        await failTenTimes(UNKNOWN);
+
+        const first = await login(UNKNOWN);
+        await login(UNKNOWN);
+        const last = await login(UNKNOWN);
+
+        expect(Number(last.headers['retry-after'])).toBeLessThanOrEqual(Number(first.headers['retry-after']));
+        expect(attempts.filter(attempt => attempt.reason == 'locked')).toHaveLength(3);
+    });
+});
@@ -0,0 +1,62 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const { retryAfter, lockedFor } = require('../utils/loginGuard');
+
+describe('retryAfter', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('counts only wrong passwords and codes', async () => {
+        jest.spyOn(LoginAttempt, 'countDocuments').mockResolvedValue(0);
+
+        expect(await retryAfter({ ip: '127.0.0.1', email: 'jane@example.com' })).toBe(0);
+        expect(LoginAttempt.countDocuments).toHaveBeenCalledTimes(2);
+        LoginAttempt.countDocuments.mock.calls.forEach(([query]) => {
+            expect(query.reason).toBe('invalid-credentials');
+        });
+    });
+
+    it('waits from the last wrong password', async () => {
+        const sort = jest.fn().mockResolvedValue({ date: new Date() });
+        jest.spyOn(LoginAttempt, 'countDocuments').mockImplementation(query => Promise.resolve(query.email ? 5 : 0));
+        jest.spyOn(LoginAttempt, 'findOne').mockReturnValue({ sort });
+
+        // Third failure past the free ones: 4 seconds
+        expect(await retryAfter({ ip: '127.0.0.1', email: 'jane@example.com' })).toBe(4);
+        expect(LoginAttempt.findOne).toHaveBeenCalledWith({ email: 'jane@example.com', reason: 'invalid-credentials' });
+        expect(sort).toHaveBeenCalledWith({ date: -1 });
+    });
+});
+
+describe('lockedFor', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const failures = (count, lastDate = new Date()) => {
+        jest.spyOn(LoginAttempt, 'countDocuments').mockResolvedValue(count);
+        jest.spyOn(LoginAttempt, 'findOne').mockReturnValue({ sort: () => Promise.resolve({ date: lastDate }) });
+    };
+
+    it('is the seconds left on the lock of an account', async () => {
+        expect(await lockedFor({ email: 'jane@example.com', user: { lockUntil: new Date(Date.now() + 90 * 1000) } })).toBe(90);
+    });
+
+    it('is 0 for unlocked and expired accounts', async () => {
+        expect(await lockedFor({ email: 'jane@example.com', user: {} })).toBe(0);
+        expect(await lockedFor({ email: 'jane@example.com', user: { lockUntil: new Date(Date.now() - 1000) } })).toBe(0);
+    });
+
+    it('locks unknown emails after as many failed passwords as accounts', async () => {
+        failures(10);
+        expect(await lockedFor({ email: 'nobody@example.com', user: null })).toBe(30 * 60);
+        expect(LoginAttempt.countDocuments).toHaveBeenCalledWith({ email: 'nobody@example.com', reason: 'invalid-credentials' });
+
+        failures(20, new Date(Date.now() - 20 * 60 * 1000));
+        expect(await lockedFor({ email: 'nobody@example.com', user: null })).toBe(10 * 60);
+    });
+
+    it('is 0 for unknown emails between locks', async () => {
+        failures(9);
+        expect(await lockedFor({ email: 'nobody@example.com', user: null })).toBe(0);
+
+        failures(10, new Date(Date.now() - 31 * 60 * 1000));
+        expect(await lockedFor({ email: 'nobody@example.com', user: null })).toBe(0);
+    });
+});
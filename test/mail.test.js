@@ -0,0 +1,28 @@
+const { sendMail } = require('../utils/mail');
+
+const MESSAGE = { to: 'jane@example.com', subject: 'Reset your password', text: 'https://example.com/reset-password/secret' };
+
+describe('sendMail', () => {
+    const env = process.env.NODE_ENV;
+
+    beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+    afterEach(() => {
+        process.env.NODE_ENV = env;
+        jest.restoreAllMocks();
+    });
+
+    it('logs mails in development and tests when no transport is configured', async () => {
+        process.env.NODE_ENV = 'development';
+        await sendMail(MESSAGE);
+
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining(MESSAGE.text));
+    });
+
+    it('refuses to send without a configured transport in production', async () => {
+        process.env.NODE_ENV = 'production';
+
+        await expect(sendMail(MESSAGE)).rejects.toThrow('No mail transport configured');
+        expect(console.log).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,56 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+
+const Profile = require('../models/Profile');
+
+const app = express();
+app.use(express.json({ extended: false }));
+app.use('/api/profile', require('../routes/api/profile'));
+
+const token = jwt.sign({ user: { id: '5e0a4e1f9d1c2b3a4f5e6d7c' } }, config.get('jwtSecret'));
+
+const EXPERIENCE = { title: 'Developer', company: 'Acme', from: '2019-01-01' };
+const EDUCATION = { school: 'State University', degree: 'BSc', fieldofstudy: 'Computer Science', from: '2015-09-01' };
+
+describe('applying a profile import', () => {
+    beforeEach(() => jest.spyOn(Profile, 'findOne'));
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const importProfile = body => request(app).post('/api/profile/import').set('x-auth-token', token).send(body);
+    const messages = res => res.body.errors.map(error => error.msg);
+
+    it('refuses experience dates that are not dates', async () => {
+        const res = await importProfile({ experience: [{ ...EXPERIENCE, from: 'soon' }, { ...EXPERIENCE, to: 'later' }] });
+
+        expect(res.status).toBe(400);
+        expect(messages(res)).toEqual(['Experience from date must be a date', 'Experience to date must be a date']);
+        expect(Profile.findOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses education dates that are not dates', async () => {
+        const res = await importProfile({ education: [{ ...EDUCATION, from: 'soon', to: 'later' }] });
+
+        expect(res.status).toBe(400);
+        expect(messages(res)).toEqual(['Education from date must be a date', 'Education to date must be a date']);
+    });
+
+    it('asks for a missing from date only once', async () => {
+        const res = await importProfile({ experience: [{ ...EXPERIENCE, from: '' }] });
+
+        expect(messages(res)).toEqual(['Experience from date is required']);
+    });
+
+    it('accepts entries without an end date', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        Profile.findOne.mockRejectedValue(new Error('No database'));
+
+        const res = await importProfile({ experience: [{ ...EXPERIENCE, to: '' }], education: [{ ...EDUCATION, to: null }] });
+
+        // Past validation, on to loading the profile
+        expect(res.status).toBe(500);
+        expect(Profile.findOne).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,33 @@
+const { isPrivateAddress, publicLookup } = require('../utils/publicAddress');
+
+const lookup = (hostname, options) => new Promise((resolve, reject) => {
+    publicLookup(hostname, options, (err, ...result) => err ? reject(err) : resolve(result));
+});
+
+describe('isPrivateAddress', () => {
+    it('spots internal IPv4 addresses', () => {
+        ['0.0.0.0', '10.1.2.3', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1', '224.0.0.1']
+            .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+    });
+
+    it('spots internal IPv6 addresses', () => {
+        ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe']
+            .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+    });
+
+    it('lets public addresses through', () => {
+        ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700::1111', '::ffff:8.8.8.8', 'gitlab.example.com']
+            .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+    });
+});
+
+describe('publicLookup', () => {
+    it('refuses hosts resolving to a private address', async () => {
+        await expect(lookup('localhost', {})).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+        await expect(lookup('localhost', { all: true })).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+    });
+
+    it('passes dns errors on', async () => {
+        await expect(lookup('does-not-exist.invalid', {})).rejects.toHaveProperty('code');
+    });
+});
@@ -0,0 +1,142 @@
+const createRestClient = require('../utils/restClient');
+const { publicLookup } = require('../utils/publicAddress');
+const { startStubServer, sendJson } = require('./stubServer');
+
+const REPOS = [{ id: 1, name: 'devconnector' }];
+const inAnHour = () => String(Math.floor(Date.now() / 1000) + 60 * 60);
+
+describe('createRestClient', () => {
+    let server;
+    let respond;
+
+    beforeAll(async () => {
+        server = await startStubServer((req, res) => respond(req, res));
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(() => {
+        server.requests.length = 0;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const client = (options = {}) => createRestClient({ name: 'Stub', baseUrl: server.url, freshSeconds: 0, ...options });
+
+    it('serves fresh responses from the cache', async () => {
+        respond = (req, res) => sendJson(res, 200, REPOS);
+        const api = client({ freshSeconds: 60 });
+
+        await api.get('/repos', { per_page: 5 });
+        expect(await api.get('/repos', { per_page: 5 })).toEqual({ data: REPOS, stale: false });
+        expect(server.requests).toHaveLength(1);
+        expect(server.requests[0].query).toEqual({ per_page: '5' });
+        expect(server.requests[0].headers['user-agent']).toBe('devconnector');
+    });
+
+    it('revalidates cached responses with their ETag', async () => {
+        respond = (req, res) => req.headers['if-none-match'] == '"v1"'
+            ? sendJson(res, 304)
+            : sendJson(res, 200, REPOS, { ETag: '"v1"' });
+        const api = client();
+
+        expect(await api.get('/repos')).toEqual({ data: REPOS, stale: false });
+        expect(await api.get('/repos')).toEqual({ data: REPOS, stale: false });
+        expect(server.requests.map(req => req.headers['if-none-match'])).toEqual([undefined, '"v1"']);
+    });
+
+    it('replaces cached data when the resource changed', async () => {
+        const api = client();
+        respond = (req, res) => sendJson(res, 200, REPOS, { ETag: '"v1"' });
+        await api.get('/repos');
+
+        const changed = [...REPOS, { id: 2, name: 'another' }];
+        respond = (req, res) => sendJson(res, 200, changed, { ETag: '"v2"' });
+        expect(await api.get('/repos')).toEqual({ data: changed, stale: false });
+    });
+
+    it('rejects unknown resources with a 404', async () => {
+        respond = (req, res) => sendJson(res, 404, { message: 'Not Found' });
+
+        await expect(client().get('/users/nobody')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('falls back to stale data when the API fails', async () => {
+        const api = client();
+        respond = (req, res) => sendJson(res, 200, REPOS);
+        await api.get('/repos');
+
+        respond = (req, res) => sendJson(res, 500, { message: 'Server Error' });
+        expect(await api.get('/repos')).toEqual({ data: REPOS, stale: true });
+        await expect(api.get('/other')).rejects.toMatchObject({ status: 502 });
+    });
+
+    it('fails with a 502 when the API cannot be reached', async () => {
+        const down = await startStubServer(() => {});
+        await down.close();
+
+        await expect(createRestClient({ baseUrl: down.url }).get('/repos')).rejects.toMatchObject({ status: 502 });
+    });
+
+    it('stops calling once the rate limit is used up', async () => {
+        const reset = inAnHour();
+        const api = client();
+        respond = (req, res) => sendJson(res, 200, REPOS, { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': reset });
+        await api.get('/repos');
+
+        expect(api.isRateLimited()).toBe(true);
+        expect(api.rateLimit()).toEqual({ remaining: 0, resetAt: new Date(reset * 1000) });
+        expect(await api.get('/repos')).toEqual({ data: REPOS, stale: true });
+        await expect(api.get('/other')).rejects.toMatchObject({ status: 429, resetAt: new Date(reset * 1000) });
+        expect(server.requests).toHaveLength(1);
+    });
+
+    it('backs off when the API turns a request down for the rate limit', async () => {
+        respond = (req, res) => sendJson(res, 403, { message: 'API rate limit exceeded' }, {
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': inAnHour()
+        });
+        const api = client();
+
+        await expect(api.get('/repos')).rejects.toMatchObject({ status: 429 });
+        await expect(api.get('/repos')).rejects.toMatchObject({ status: 429 });
+        expect(server.requests).toHaveLength(1);
+    });
+
+    it('backs off for as long as Retry-After says', async () => {
+        respond = (req, res) => sendJson(res, 429, { message: 'Too Many Requests' }, { 'Retry-After': '120' });
+        const api = client();
+
+        const before = Date.now();
+        await expect(api.get('/repos')).rejects.toMatchObject({ status: 429 });
+        expect(api.rateLimit().resetAt.getTime()).toBeGreaterThanOrEqual(before + 120 * 1000);
+        expect(api.isRateLimited()).toBe(true);
+    });
+
+    it('does not follow redirects when told not to', async () => {
+        respond = (req, res) => req.path == '/repos'
+            ? res.writeHead(302, { Location: `${server.url}/internal` }).end()
+            : sendJson(res, 200, REPOS);
+
+        await expect(client({ maxRedirects: 0 }).get('/repos')).rejects.toMatchObject({ status: 502 });
+        expect(server.requests.map(req => req.path)).toEqual(['/repos']);
+    });
+
+    it('connects only to the addresses the lookup allows', async () => {
+        respond = (req, res) => sendJson(res, 200, REPOS);
+        const api = createRestClient({ baseUrl: server.url.replace('127.0.0.1', 'localhost'), lookup: publicLookup });
+
+        await expect(api.get('/repos')).rejects.toMatchObject({ status: 502 });
+        expect(server.requests).toHaveLength(0);
+    });
+
+    it('reads GitLab style rate limit headers', async () => {
+        respond = (req, res) => sendJson(res, 200, REPOS, { 'RateLimit-Remaining': '42', 'RateLimit-Reset': inAnHour() });
+        const api = client();
+
+        await api.get('/repos');
+        expect(api.rateLimit().remaining).toBe(42);
+        expect(api.isRateLimited()).toBe(false);
+    });
+});
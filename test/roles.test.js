@@ -0,0 +1,33 @@
+const User = require('../models/User');
+const { hasRole, userHasRole } = require('../utils/roles');
+
+const findUser = user => jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+
+describe('hasRole', () => {
+    it('lets higher roles do what lower ones may', () => {
+        expect(hasRole({ role: 'admin' }, 'moderator')).toBe(true);
+        expect(hasRole({ role: 'moderator' }, 'moderator')).toBe(true);
+        expect(hasRole({ role: 'user' }, 'moderator')).toBe(false);
+        expect(hasRole(null, 'user')).toBe(false);
+    });
+});
+
+describe('userHasRole', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('checks the stored role', async () => {
+        findUser({ role: 'moderator' });
+        expect(await userHasRole('id', 'moderator')).toBe(true);
+        expect(await userHasRole('id', 'admin')).toBe(false);
+    });
+
+    it('refuses suspended users', async () => {
+        findUser({ role: 'admin', suspended: true });
+        expect(await userHasRole('id', 'moderator')).toBe(false);
+    });
+
+    it('refuses deleted users', async () => {
+        findUser(null);
+        expect(await userHasRole('id', 'user')).toBe(false);
+    });
+});
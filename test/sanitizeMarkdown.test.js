@@ -0,0 +1,39 @@
+const sanitizeMarkdown = require('../utils/sanitizeMarkdown');
+
+describe('sanitizeMarkdown', () => {
+    it('strips tags but keeps their text', () => {
+        expect(sanitizeMarkdown('<b>bold</b> and <a href="x">link</a>')).toBe('bold and link');
+    });
+
+    it('drops script and style blocks with their content', () => {
+        expect(sanitizeMarkdown('before<script>alert(1)</script> after')).toBe('before after');
+        expect(sanitizeMarkdown('<style>body { display: none }</style>text')).toBe('text');
+    });
+
+    it('drops html comments', () => {
+        expect(sanitizeMarkdown('one <!-- hidden --> two')).toBe('one  two');
+    });
+
+    it('keeps a lone < as text', () => {
+        expect(sanitizeMarkdown('use a<b when comparing\n\nsecond paragraph'))
+            .toBe('use a<b when comparing\n\nsecond paragraph');
+        expect(sanitizeMarkdown('loop while i<n and stop')).toBe('loop while i<n and stop');
+    });
+
+    it('keeps text after an unclosed tag', () => {
+        expect(sanitizeMarkdown('a <b>c <d\n\nmore text')).toBe('a c <d\n\nmore text');
+    });
+
+    it('leaves code untouched', () => {
+        expect(sanitizeMarkdown('inline `<div>` code')).toBe('inline `<div>` code');
+        expect(sanitizeMarkdown('```html\n<script>x</script>\n```')).toBe('```html\n<script>x</script>\n```');
+    });
+
+    it('neutralizes script links', () => {
+        expect(sanitizeMarkdown('[click](javascript:alert(1))')).toBe('[click](#)');
+    });
+
+    it('passes non-strings through', () => {
+        expect(sanitizeMarkdown(undefined)).toBeUndefined();
+    });
+});
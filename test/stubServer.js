@@ -0,0 +1,39 @@
+const http = require('http');
+
+// Starts an http server on a free port that records every request and passes it
+// to the handler. Resolves to { url, requests, close }.
+const startStubServer = handler => new Promise(resolve => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body: body && req.headers['content-type'].includes('json') ? JSON.parse(body) : body
+            };
+            requests.push(request);
+            handler(request, res);
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => {
+            server.closeAllConnections();
+            server.close(done);
+        })
+    }));
+});
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+module.exports = { startStubServer, sendJson };
@@ -0,0 +1,97 @@
+process.env.NODE_CONFIG = JSON.stringify({ refreshTokenGraceSeconds: 30 });
+
+const RefreshToken = require('../models/RefreshToken');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllRefreshTokens } = require('../utils/tokens');
+
+const USER_ID = '5e0a4e1f9d1c2b3a4f5e6d7c';
+
+describe('rotateRefreshToken', () => {
+    // Stored tokens, kept in memory in place of the collection
+    let rows;
+
+    const matches = (row, query) => Object.keys(query)
+        .every(key => query[key] === null ? !row[key] : String(row[key]) == String(query[key]));
+    const revoke = (query, { $set }) => rows.filter(row => matches(row, query)).forEach(row => Object.assign(row, $set));
+    const active = () => rows.filter(row => !row.revoked);
+
+    beforeEach(() => {
+        rows = [];
+        jest.spyOn(RefreshToken.prototype, 'save').mockImplementation(function () {
+            if(!rows.includes(this)) rows.push(this);
+            return Promise.resolve(this);
+        });
+        jest.spyOn(RefreshToken, 'findOne').mockImplementation(query => Promise.resolve(rows.find(row => matches(row, query)) || null));
+        jest.spyOn(RefreshToken, 'updateOne').mockImplementation((query, update) => Promise.resolve(revoke(query, update)));
+        jest.spyOn(RefreshToken, 'updateMany').mockImplementation((query, update) => Promise.resolve(revoke(query, update)));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    // Moves the rotation of the first stored token back in time
+    const rotatedAgo = seconds => {
+        rows[0].revoked = new Date(Date.now() - seconds * 1000);
+    };
+
+    it('exchanges a valid token and revokes it', async () => {
+        const { refreshToken } = await issueTokens(USER_ID);
+        const tokens = await rotateRefreshToken(refreshToken);
+
+        expect(tokens.token).toEqual(expect.any(String));
+        expect(tokens.refreshToken).not.toBe(refreshToken);
+        expect(rows[0].revoked).toBeTruthy();
+        expect(rows[0].replacedBy).toBe(rows[1].tokenHash);
+        expect(active()).toEqual([rows[1]]);
+    });
+
+    it('exchanges a token rotated by another tab moments ago', async () => {
+        const { refreshToken } = await issueTokens(USER_ID);
+        await rotateRefreshToken(refreshToken);
+
+        expect(await rotateRefreshToken(refreshToken)).toMatchObject({ refreshToken: expect.any(String) });
+        expect(active()).toHaveLength(2);
+    });
+
+    it('ends the session when every token was revoked within the grace period', async () => {
+        const { refreshToken } = await issueTokens(USER_ID);
+        const rotated = await rotateRefreshToken(refreshToken);
+        await revokeAllRefreshTokens(USER_ID);
+
+        expect(await rotateRefreshToken(refreshToken)).toBeNull();
+        expect(await rotateRefreshToken(rotated.refreshToken)).toBeNull();
+        expect(active()).toHaveLength(0);
+    });
+
+    it('ends the session when the successor was logged out within the grace period', async () => {
+        const { refreshToken } = await issueTokens(USER_ID);
+        const rotated = await rotateRefreshToken(refreshToken);
+        await revokeRefreshToken(rotated.refreshToken);
+
+        expect(await rotateRefreshToken(refreshToken)).toBeNull();
+        expect(active()).toHaveLength(0);
+    });
+
+    it('ends every session when an old token is presented again', async () => {
+        const { refreshToken } = await issueTokens(USER_ID);
+        await issueTokens(USER_ID);
+        await rotateRefreshToken(refreshToken);
+        rotatedAgo(60);
+
+        expect(await rotateRefreshToken(refreshToken)).toBeNull();
+        expect(active()).toHaveLength(0);
+    });
+
+    it('does not exchange a token revoked by logout', async () => {
+        const { refreshToken } = await issueTokens(USER_ID);
+        await revokeRefreshToken(refreshToken);
+
+        expect(await rotateRefreshToken(refreshToken)).toBeNull();
+    });
+
+    it('rejects unknown and expired tokens', async () => {
+        expect(await rotateRefreshToken('unknown')).toBeNull();
+
+        const { refreshToken } = await issueTokens(USER_ID);
+        rows[0].expires = new Date(Date.now() - 1000);
+        expect(await rotateRefreshToken(refreshToken)).toBeNull();
+    });
+});
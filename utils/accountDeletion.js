@@ -0,0 +1,91 @@
+const configOr = require('./configOr');
+const { revokeAllRefreshTokens } = require('./tokens');
+
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Hides the user's profile and posts and signs them out everywhere. The account is
+// purged once the grace period ends, unless they log in and restore it before then.
+const scheduleDeletion = async userId => {
+    const deleteAfter = new Date(Date.now() + configOr('accountDeletionDays', 14) * DAY);
+
+    await User.updateOne({ _id: userId }, { $set: { deleteAfter } });
+    await Profile.updateOne({ user: userId }, { $set: { deleting: true } });
+    await Post.updateMany({ user: userId }, { $set: { deleting: true } });
+    await revokeAllRefreshTokens(userId);
+
+    return deleteAfter;
+};
+
+const restoreAccount = async userId => {
+    await User.updateOne({ _id: userId }, { $unset: { deleteAfter: '' } });
+    await Profile.updateOne({ user: userId }, { $unset: { deleting: '' } });
+    await Post.updateMany({ user: userId }, { $unset: { deleting: '' } });
+};
+
+// Removes everything of a user, including what they left on other users' posts.
+// Every step can run again, and the user record goes last, so a purge that fails
+// half way is finished by the next run.
+const purgeAccount = async userId => {
+    // Own posts, then comments, likes and audience entries on everyone else's
+    await Post.deleteMany({ user: userId });
+    await Post.updateMany(
+        { $or: [{ 'comments.user': userId }, { 'likes.user': userId }, { audience: userId }] },
+        { $pull: { comments: { user: userId }, likes: { user: userId }, audience: userId } }
+    );
+
+    await Profile.deleteOne({ user: userId });
+    await Profile.updateMany({ 'followers.user': userId }, { $pull: { followers: { user: userId } } });
+
+    // Only their own messages, the other participant keeps the rest of the thread
+    await Message.deleteMany({ sender: userId });
+    const conversations = await Conversation.find({ participants: userId }).select('_id');
+    for(const { _id } of conversations) {
+        const last = await Message.findOne({ conversation: _id }).sort({ date: -1 });
+
+        if(last) {
+            await Conversation.updateOne({ _id }, { $set: { lastMessage: { text: last.text, sender: last.sender, date: last.date } } });
+        } else {
+            await Conversation.deleteOne({ _id });
+        }
+    }
+
+    await Notification.deleteMany({ $or: [{ user: userId }, { actor: userId }] });
+    await Report.deleteMany({ reporter: userId });
+    await RefreshToken.deleteMany({ user: userId });
+    await LoginAttempt.deleteMany({ user: userId });
+
+    await User.deleteOne({ _id: userId });
+};
+
+// Purges accounts whose grace period has ended
+const purgeDueAccounts = async () => {
+    const users = await User.find({ deleteAfter: { $lte: new Date() } }).select('_id');
+
+    for(const user of users) {
+        try {
+            await purgeAccount(user._id);
+        } catch(err) {
+            console.error(`Could not purge account ${user._id}: ${err.message}`);
+        }
+    }
+};
+
+const startDeletionJob = () => {
+    const run = () => purgeDueAccounts().catch(err => console.error(err.message));
+
+    run();
+    return setInterval(run, configOr('accountDeletionIntervalHours', 1) * HOUR);
+};
+
+module.exports = { scheduleDeletion, restoreAccount, purgeAccount, purgeDueAccounts, startDeletionJob };
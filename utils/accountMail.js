@@ -0,0 +1,25 @@
+const configOr = require('./configOr');
+const { sendMail } = require('./mail');
+const { signVerificationToken, signResetToken } = require('./accountTokens');
+
+// Links in mails point at the React pages, which call the API
+const clientUrl = path => `${configOr('clientUrl', 'http://localhost:3000')}${path}`;
+
+const sendVerificationMail = user => sendMail({
+    to: user.email,
+    subject: 'Verify your DevConnector email',
+    text: `Hi ${user.name},\n\n`
+        + `Please confirm your email address by opening the link below:\n\n`
+        + `${clientUrl(`/verify-email/${signVerificationToken(user)}`)}\n`
+});
+
+const sendPasswordResetMail = user => sendMail({
+    to: user.email,
+    subject: 'Reset your DevConnector password',
+    text: `Hi ${user.name},\n\n`
+        + `Someone asked to reset the password of your account. If that was you, open the link below `
+        + `within the hour to choose a new one. Otherwise you can ignore this mail.\n\n`
+        + `${clientUrl(`/reset-password/${signResetToken(user)}`)}\n`
+});
+
+module.exports = { sendVerificationMail, sendPasswordResetMail };
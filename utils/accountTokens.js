@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const configOr = require('./configOr');
+
+const User = require('../models/User');
+
+// Ties a reset token to the current password, so it stops working once used
+const passwordFingerprint = user => crypto.createHash('sha256').update(user.password).digest('hex').slice(0, 16);
+
+const signVerificationToken = user => jwt.sign(
+    { verify: { id: user.id, email: user.email } },
+    config.get('jwtSecret'),
+    { expiresIn: configOr('verificationTokenTimeout', '1d') }
+);
+
+const signResetToken = user => jwt.sign(
+    { reset: { id: user.id, pwd: passwordFingerprint(user) } },
+    config.get('jwtSecret'),
+    { expiresIn: configOr('resetTokenTimeout', '1h') }
+);
+
+const decode = (token, purpose) => {
+    try {
+        return jwt.verify(token, config.get('jwtSecret'))[purpose] || null;
+    } catch(err) {
+        return null;
+    }
+};
+
+// Resolves to the user a verification token was issued for, or null when it is
+// invalid, expired or the email address has changed since
+const userFromVerificationToken = async token => {
+    const claim = decode(token, 'verify');
+    if(!claim) return null;
+
+    const user = await User.findById(claim.id);
+    return user && user.email === claim.email ? user : null;
+};
+
+// Resolves to the user a reset token was issued for, or null when it is
+// invalid, expired or the password was changed since
+const userFromResetToken = async token => {
+    const claim = decode(token, 'reset');
+    if(!claim) return null;
+
+    const user = await User.findById(claim.id);
+    return user && passwordFingerprint(user) === claim.pwd ? user : null;
+};
+
+module.exports = { signVerificationToken, signResetToken, userFromVerificationToken, userFromResetToken };
@@ -0,0 +1,181 @@
+const configOr = require('./configOr');
+const createRestClient = require('./restClient');
+const { github, isGithubUsername } = require('./github');
+const { isPrivateAddress, publicLookup } = require('./publicAddress');
+
+const PROVIDERS = ['github', 'gitlab', 'bitbucket'];
+const PROVIDER_NAMES = { github: 'GitHub', gitlab: 'GitLab', bitbucket: 'Bitbucket' };
+const MAX_CODE_HOSTS = 5;
+const REPOS_PER_HOST = 5;
+// Clients kept for self-hosted GitLab instances, each with its own cache
+const MAX_GITLAB_CLIENTS = 50;
+
+// GitLab usernames and Bitbucket workspaces: letters, digits, dots, dashes and underscores
+const SLUG_PATTERN = /^[\w][\w.-]{0,254}$/;
+
+const GITLAB_URL = configOr('gitlab.baseUrl', 'https://gitlab.com');
+
+// Instances other than the configured one come from profiles, so they may not
+// redirect anywhere or resolve to an internal address
+const gitlabClient = baseUrl => {
+    const configured = baseUrl == GITLAB_URL;
+    const token = configOr('gitlab.token', null);
+
+    return createRestClient({
+        name: 'GitLab',
+        baseUrl: `${baseUrl}/api/v4`,
+        headers: configured && token ? { 'PRIVATE-TOKEN': token } : {},
+        timeout: configOr('gitlab.timeoutMs', undefined),
+        ...(!configured && { maxRedirects: 0, lookup: publicLookup })
+    });
+};
+
+const bitbucket = createRestClient({
+    name: 'Bitbucket',
+    baseUrl: configOr('bitbucket.baseUrl', 'https://api.bitbucket.org/2.0'),
+    timeout: configOr('bitbucket.timeoutMs', undefined)
+});
+
+// One client, and so one cache, per GitLab instance. Map keeps insertion order,
+// so the first key is the least recently used instance.
+const gitlabClients = new Map();
+const gitlabFor = baseUrl => {
+    const client = gitlabClients.get(baseUrl) || gitlabClient(baseUrl);
+
+    gitlabClients.delete(baseUrl);
+    gitlabClients.set(baseUrl, client);
+    while(gitlabClients.size > MAX_GITLAB_CLIENTS) gitlabClients.delete(gitlabClients.keys().next().value);
+    return client;
+};
+
+// Self-hosted GitLab must be a public https address, the server fetches from it
+const parseGitlabUrl = value => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return null;
+    }
+
+    // Hostnames resolving to a private address are refused when fetching
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const privateAddress = host == 'localhost' || host.endsWith('.localhost') || host.endsWith('.local')
+        || isPrivateAddress(host);
+    if(url.protocol != 'https:' || url.username || url.password || privateAddress) return null;
+
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+};
+
+// Checks the code hosts sent with a profile, returning { codeHosts } or { error }
+const parseCodeHosts = value => {
+    const entries = [].concat(value || []);
+    if(entries.length > MAX_CODE_HOSTS) return { error: `Add at most ${MAX_CODE_HOSTS} code hosts` };
+
+    const codeHosts = [];
+    for(const entry of entries) {
+        const provider = entry && entry.provider;
+        const username = entry && typeof entry.username == 'string' ? entry.username.trim() : '';
+
+        if(!PROVIDERS.includes(provider)) return { error: 'Code host must be GitHub, GitLab or Bitbucket' };
+        if(provider == 'github' ? !isGithubUsername(username) : !SLUG_PATTERN.test(username)) {
+            return { error: `Invalid ${PROVIDER_NAMES[provider]} username` };
+        }
+
+        const host = { provider, username };
+        if(provider == 'gitlab' && entry.url) {
+            host.url = parseGitlabUrl(entry.url);
+            if(!host.url) return { error: 'GitLab URL must be a public https address' };
+        }
+        codeHosts.push(host);
+    }
+    return { codeHosts };
+};
+
+// Every code host of a profile, githubusername first as it predates the list
+const listCodeHosts = profile => {
+    const hosts = (profile.codeHosts || []).map(({ provider, username, url }) => ({ provider, username, url }));
+    const github = profile.githubusername;
+
+    if(github && !hosts.some(host => host.provider == 'github' && host.username.toLowerCase() == github.toLowerCase())) {
+        hosts.unshift({ provider: 'github', username: github });
+    }
+    return hosts;
+};
+
+// Providers return repos in their own shapes, these map them onto one
+const PROVIDER_REPOS = {
+    github: async ({ username }) => {
+        const { data, stale } = await github.getRepos(username, { perPage: REPOS_PER_HOST });
+        return {
+            stale,
+            profileUrl: `https://github.com/${username}`,
+            repos: data.map(repo => ({
+                id: String(repo.id),
+                name: repo.name,
+                description: repo.description,
+                url: repo.html_url,
+                language: repo.language,
+                stars: repo.stargazers_count,
+                forks: repo.forks_count,
+                updatedAt: repo.pushed_at
+            }))
+        };
+    },
+    gitlab: async ({ username, url = GITLAB_URL }) => {
+        const { data, stale } = await gitlabFor(url).get(`/users/${encodeURIComponent(username)}/projects`, {
+            per_page: REPOS_PER_HOST,
+            order_by: 'last_activity_at',
+            sort: 'desc'
+        });
+        return {
+            stale,
+            profileUrl: `${url}/${username}`,
+            repos: data.map(project => ({
+                id: String(project.id),
+                name: project.name,
+                description: project.description,
+                url: project.web_url,
+                stars: project.star_count,
+                forks: project.forks_count,
+                updatedAt: project.last_activity_at
+            }))
+        };
+    },
+    bitbucket: async ({ username }) => {
+        const { data, stale } = await bitbucket.get(`/repositories/${encodeURIComponent(username)}`, {
+            pagelen: REPOS_PER_HOST,
+            sort: '-updated_on'
+        });
+        return {
+            stale,
+            profileUrl: `https://bitbucket.org/${username}`,
+            repos: data.values.map(repo => ({
+                id: repo.uuid,
+                name: repo.name,
+                description: repo.description,
+                url: repo.links.html.href,
+                language: repo.language || undefined,
+                updatedAt: repo.updated_on
+            }))
+        };
+    }
+};
+
+const ERRORS = {
+    404: 'No account found',
+    429: 'Too many requests, try again later',
+    502: 'Could not be reached'
+};
+
+// Fetches the latest repos of each code host. A failing host gets an error
+// message instead of repos so the others still show.
+const getCodeHostRepos = profile => Promise.all(listCodeHosts(profile).map(async host => {
+    try {
+        return { ...host, ...await PROVIDER_REPOS[host.provider](host) };
+    } catch (err) {
+        if(!ERRORS[err.status]) console.error(err.message);
+        return { ...host, repos: [], error: ERRORS[err.status] || 'Could not load repos' };
+    }
+}));
+
+module.exports = { PROVIDERS, parseCodeHosts, listCodeHosts, getCodeHostRepos };
@@ -0,0 +1,4 @@
+const config = require('config');
+
+// Reads an optional config key, falling back when config/default.json does not set it
+module.exports = (key, fallback) => config.has(key) ? config.get(key) : fallback;
@@ -0,0 +1,50 @@
+// Parses RFC 4180 CSV text into objects keyed by the header row.
+// Quoted fields may hold commas, doubled quotes and line breaks.
+const parseCsv = text => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    text = text.replace(/^\uFEFF/, '');
+    for(let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if(quoted) {
+            if(char == '"' && text[i + 1] == '"') {
+                field += '"';
+                i++;
+            } else if(char == '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if(char == '"') {
+            quoted = true;
+        } else if(char == ',') {
+            row.push(field);
+            field = '';
+        } else if(char == '\n' || char == '\r') {
+            if(char == '\r' && text[i + 1] == '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if(field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+    const keys = header.map(key => key.trim());
+    return records.map(cells => keys.reduce((record, key, i) => {
+        record[key] = (cells[i] || '').trim();
+        return record;
+    }, {}));
+};
+
+module.exports = parseCsv;
@@ -0,0 +1,4 @@
+// Escapes user input for use as a literal inside a RegExp
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegExp;
@@ -0,0 +1,111 @@
+const archiver = require('archiver');
+
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+
+// Everything kept about the account except credentials and login security state
+const USER_FIELDS = 'name email avatar verified role date twoFactor.enabled github.login';
+
+const excerpt = text => text.length > 80 ? `${text.slice(0, 80)}...` : text;
+
+// Collects a user's data, including what they left on other users' posts
+const collectUserData = async userId => {
+    const [user, profile, posts, commented, liked] = await Promise.all([
+        User.findById(userId).select(USER_FIELDS).lean(),
+        Profile.findOne({ user: userId }).select('-followers').lean(),
+        Post.find({ user: userId }).sort({ date: -1 }).lean(),
+        Post.find({ user: { $ne: userId }, 'comments.user': userId }).sort({ date: -1 }).lean(),
+        Post.find({ user: { $ne: userId }, 'likes.user': userId }).select('name text date').sort({ date: -1 }).lean()
+    ]);
+
+    return {
+        exported: new Date(),
+        user,
+        profile,
+        posts,
+        comments: commented.map(post => ({
+            post: { _id: post._id, author: post.name, text: excerpt(post.text) },
+            comments: post.comments
+                .filter(comment => comment.user.toString() == userId)
+                .map(({ _id, text, date, edits }) => ({ _id, text, date, edits }))
+        })),
+        likes: liked.map(post => ({ post: { _id: post._id, author: post.name, text: excerpt(post.text), date: post.date } }))
+    };
+};
+
+const day = date => date ? new Date(date).toISOString().slice(0, 10) : 'now';
+
+const quote = text => text.split('\n').map(line => `> ${line}`).join('\n');
+
+// Readable rendering of the collected data, posts and comments are Markdown already
+const renderMarkdown = ({ exported, user, profile, posts, comments, likes }) => {
+    const lines = [
+        `# DevConnector data of ${user.name}`,
+        '',
+        `Exported ${exported.toISOString()}`,
+        '',
+        '## Account',
+        '',
+        `- Name: ${user.name}`,
+        `- Email: ${user.email}${user.verified ? '' : ' (not verified)'}`,
+        `- Joined: ${day(user.date)}`,
+        ''
+    ];
+
+    if(profile) {
+        lines.push('## Profile', '');
+        lines.push(`${profile.status}${profile.company ? ` at ${profile.company}` : ''}`, '');
+        if(profile.location) lines.push(`- Location: ${profile.location}`);
+        if(profile.website) lines.push(`- Website: ${profile.website}`);
+        if(profile.githubusername) lines.push(`- GitHub: ${profile.githubusername}`);
+        lines.push(`- Skills: ${profile.skills.join(', ')}`, '');
+        if(profile.bio) lines.push(profile.bio, '');
+
+        lines.push('### Experience', '');
+        profile.experience.forEach(exp => lines.push(
+            `- ${exp.title} at ${exp.company}${exp.location ? `, ${exp.location}` : ''} (${day(exp.from)} - ${day(exp.to)})`
+        ));
+        lines.push('', '### Education', '');
+        profile.education.forEach(edu => lines.push(
+            `- ${edu.degree} in ${edu.fieldofstudy}, ${edu.school} (${day(edu.from)} - ${day(edu.to)})`
+        ));
+        lines.push('');
+    }
+
+    lines.push(`## Posts (${posts.length})`, '');
+    posts.forEach(post => lines.push(
+        `### ${day(post.date)}, ${post.likes.length} likes, ${post.comments.length} comments`, '', post.text, ''
+    ));
+
+    lines.push('## Comments on other posts', '');
+    comments.forEach(({ post, comments }) => {
+        lines.push(`### On a post by ${post.author}`, '', quote(post.text), '');
+        comments.forEach(comment => lines.push(`${day(comment.date)}:`, '', comment.text, ''));
+    });
+
+    lines.push(`## Liked posts (${likes.length})`, '');
+    likes.forEach(({ post }) => lines.push(`- ${post.author}, ${day(post.date)}: ${post.text.replace(/\s+/g, ' ')}`));
+    lines.push('');
+
+    return lines.join('\n');
+};
+
+// Streams a zip with data.json and data.md to a response
+const sendExportArchive = (res, data) => {
+    const archive = archiver('zip');
+
+    res.attachment(`devconnector-export-${day(data.exported)}.zip`);
+    archive.on('error', err => {
+        console.error(err.message);
+        res.end();
+    });
+    archive.pipe(res);
+
+    archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+    archive.append(renderMarkdown(data), { name: 'data.md' });
+
+    return archive.finalize();
+};
+
+module.exports = { collectUserData, renderMarkdown, sendExportArchive };
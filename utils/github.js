@@ -0,0 +1,77 @@
+const configOr = require('./configOr');
+const createRestClient = require('./restClient');
+
+// GitHub logins are alphanumeric with single inner hyphens, at most 39 characters
+const USERNAME_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+const isGithubUsername = username => USERNAME_PATTERN.test(username || '');
+
+// Authenticate with a token when there is one. Otherwise OAuth app credentials
+// in a basic auth header still raise the rate limit, and stay out of urls and logs
+const authHeader = ({ token, clientId, clientSecret }) => {
+    if(token) return `token ${token}`;
+    if(clientId && clientSecret) return `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+    return undefined;
+};
+
+// Creates a GitHub client on the shared REST client, which caches responses
+// and revalidates them with ETags. GitHub does not count 304s against the
+// rate limit, so cached repos cost nothing to keep current.
+const createGithubClient = ({
+    baseUrl = 'https://api.github.com',
+    graphqlUrl = `${baseUrl.replace(/\/+$/, '')}/graphql`,
+    token,
+    clientId,
+    clientSecret,
+    ...options
+} = {}) => {
+    const authorization = authHeader({ token, clientId, clientSecret });
+    const client = createRestClient({
+        ...options,
+        name: 'GitHub',
+        baseUrl,
+        headers: {
+            'Accept': 'application/vnd.github+json',
+            ...(authorization && { 'Authorization': authorization })
+        }
+    });
+
+    // GitHub only answers GraphQL for tokens, so without one this resolves to null,
+    // as it does on any failure. Callers fall back to REST data.
+    const graphql = async (query, variables = {}) => {
+        if(!token || client.isRateLimited()) return null;
+
+        try {
+            const response = await client.post(graphqlUrl, { query, variables });
+            if(response.status != 200 || response.data.errors) return null;
+            return response.data.data;
+        } catch (err) {
+            console.error(`GitHub GraphQL request failed: ${err.message}`);
+            return null;
+        }
+    };
+
+    return {
+        ...client,
+        graphql,
+        getRepos: (username, { perPage = 5 } = {}) => client.get(`/users/${encodeURIComponent(username)}/repos`, {
+            per_page: perPage,
+            sort: 'created',
+            direction: 'asc'
+        })
+    };
+};
+
+// Shared client set up from config. github.token is preferred, githubClientId
+// and githubSecret are still read for existing installs
+const github = createGithubClient({
+    baseUrl: configOr('github.baseUrl', undefined),
+    graphqlUrl: configOr('github.graphqlUrl', undefined),
+    token: configOr('github.token', undefined),
+    clientId: configOr('githubClientId', undefined),
+    clientSecret: configOr('githubSecret', undefined),
+    timeout: configOr('github.timeoutMs', undefined),
+    freshSeconds: configOr('github.cacheSeconds', undefined)
+});
+
+module.exports = { github, createGithubClient, isGithubUsername };
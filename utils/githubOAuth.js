@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const bcrypt = require('bcryptjs');
+const configOr = require('./configOr');
+const escapeRegExp = require('./escapeRegExp');
+
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+
+// The OAuth app, falling back to the credentials the repo widget has always used
+const CLIENT_ID = configOr('github.oauth.clientId', configOr('githubClientId', null));
+const CLIENT_SECRET = configOr('github.oauth.clientSecret', configOr('githubSecret', null));
+
+// Every url can point at a stub provider, or GitHub Enterprise
+const AUTHORIZE_URL = configOr('github.oauth.authorizeUrl', 'https://github.com/login/oauth/authorize');
+const TOKEN_URL = configOr('github.oauth.tokenUrl', 'https://github.com/login/oauth/access_token');
+const API_URL = configOr('github.baseUrl', 'https://api.github.com').replace(/\/+$/, '');
+// GitHub sends the browser back to the React page, which posts the code to the API
+const REDIRECT_URI = configOr('github.oauth.redirectUri', `${configOr('clientUrl', 'http://localhost:3000')}/auth/github/callback`);
+
+const STATE_COOKIE = 'github_oauth_state';
+const STATE_COOKIE_OPTIONS = { httpOnly: true, sameSite: 'lax', maxAge: 10 * 60 * 1000, path: '/api/auth/github' };
+
+const isGithubLoginEnabled = () => Boolean(CLIENT_ID && CLIENT_SECRET);
+
+// Random state, kept in a cookie so the callback can tell the login started in this browser
+const startGithubLogin = (req, res) => {
+    const state = crypto.randomBytes(16).toString('hex');
+    res.cookie(STATE_COOKIE, state, { ...STATE_COOKIE_OPTIONS, secure: req.secure });
+
+    const params = new URLSearchParams({
+        client_id: CLIENT_ID,
+        redirect_uri: REDIRECT_URI,
+        scope: 'read:user user:email',
+        state
+    });
+    return `${AUTHORIZE_URL}?${params.toString()}`;
+};
+
+const readCookie = (req, name) => {
+    const cookie = (req.header('cookie') || '').split(';')
+        .map(part => part.trim().split('='))
+        .find(([key]) => key == name);
+    return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+};
+
+// Checks the state GitHub sent back against the cookie, which is used up either way
+const checkGithubState = (req, res) => {
+    const expected = readCookie(req, STATE_COOKIE);
+    res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_OPTIONS.path });
+
+    const state = String(req.body.state || '');
+    return Boolean(expected) && expected.length == state.length
+        && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(state));
+};
+
+// Exchanges the code for an access token and reads the account it belongs to.
+// Resolves to null when GitHub turns the code down.
+const fetchGithubAccount = async code => {
+    try {
+        const { data: token } = await axios.post(TOKEN_URL, {
+            client_id: CLIENT_ID,
+            client_secret: CLIENT_SECRET,
+            code,
+            redirect_uri: REDIRECT_URI
+        }, { headers: { 'Accept': 'application/json' }, timeout: 10000 });
+
+        if(!token.access_token) return null;
+
+        const api = axios.create({
+            baseURL: API_URL,
+            timeout: 10000,
+            headers: {
+                'Accept': 'application/vnd.github+json',
+                'Authorization': `token ${token.access_token}`,
+                'User-Agent': 'devconnector'
+            }
+        });
+        const [{ data: account }, { data: emails }] = await Promise.all([api.get('/user'), api.get('/user/emails')]);
+        const primary = emails.find(email => email.primary && email.verified);
+
+        return {
+            id: String(account.id),
+            login: account.login,
+            name: account.name || account.login,
+            avatar: account.avatar_url,
+            // Only a verified address may create or link an account
+            email: primary ? primary.email.toLowerCase() : null
+        };
+    } catch (err) {
+        // GitHub answered with an error, network failures are passed on
+        if(err.response) return null;
+        throw err;
+    }
+};
+
+// Finds the user for a GitHub account, linking it to the user with the same
+// email or creating a new one. Resolves to { user } or { error }.
+const findOrCreateGithubUser = async account => {
+    let user = await User.findOne({ 'github.id': account.id });
+
+    if(!user) {
+        user = await User.findOne({ email: new RegExp(`^${escapeRegExp(account.email)}$`, 'i') });
+
+        // Someone else may have registered the address, the owner has to prove it first
+        if(user && !user.verified) {
+            return { error: 'An account with this email already exists. Log in with your password and verify your email before signing in with GitHub' };
+        }
+        if(user && user.github && user.github.id) {
+            return { error: 'An account with this email is linked to another GitHub account' };
+        }
+
+        if(!user) {
+            // No password to log in with until one is set through a password reset
+            const salt = await bcrypt.genSalt(10);
+            user = new User({
+                name: account.name,
+                email: account.email,
+                avatar: account.avatar,
+                password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), salt),
+                verified: true
+            });
+        }
+    }
+
+    user.github = { id: account.id, login: account.login };
+    await user.save();
+
+    if(configOr('github.oauth.prefillProfile', true)) {
+        await Profile.updateOne(
+            { user: user._id, githubusername: { $in: [null, ''] } },
+            { $set: { githubusername: account.login } }
+        );
+    }
+
+    return { user };
+};
+
+module.exports = {
+    isGithubLoginEnabled,
+    startGithubLogin,
+    checkGithubState,
+    fetchGithubAccount,
+    findOrCreateGithubUser
+};
@@ -0,0 +1,228 @@
+const Profile = require('../models/Profile');
+const configOr = require('./configOr');
+const { github } = require('./github');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Each refresh costs about this many REST calls: repos, events and a languages call per repo
+const LANGUAGE_REPOS = 10;
+const CALLS_PER_SUMMARY = LANGUAGE_REPOS + 2;
+const TOP_REPOS = 6;
+const TOP_LANGUAGES = 8;
+const RECENT_EVENTS = 10;
+// GitHub keeps public events for 90 days
+const ACTIVITY_DAYS = 90;
+
+const PINNED_QUERY = `
+    query($login: String!) {
+        user(login: $login) {
+            pinnedItems(first: ${TOP_REPOS}, types: REPOSITORY) {
+                nodes {
+                    ... on Repository {
+                        name
+                        description
+                        url
+                        stargazerCount
+                        forkCount
+                        primaryLanguage { name }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+const pinnedRepos = async (username, client) => {
+    const data = await client.graphql(PINNED_QUERY, { login: username });
+    const nodes = data && data.user ? data.user.pinnedItems.nodes : [];
+
+    return nodes.map(repo => ({
+        name: repo.name,
+        description: repo.description,
+        url: repo.url,
+        language: repo.primaryLanguage && repo.primaryLanguage.name,
+        stars: repo.stargazerCount,
+        forks: repo.forkCount,
+        pinned: true
+    }));
+};
+
+const mostStarred = repos => [...repos]
+    .sort((a, b) => b.stargazers_count - a.stargazers_count)
+    .slice(0, TOP_REPOS)
+    .map(repo => ({
+        name: repo.name,
+        description: repo.description,
+        url: repo.html_url,
+        language: repo.language,
+        stars: repo.stargazers_count,
+        forks: repo.forks_count,
+        pinned: false
+    }));
+
+// Sums bytes per language across the most recently pushed repos, the long tail as Other
+const languageBreakdown = async (repos, client) => {
+    const lists = await Promise.all(repos.slice(0, LANGUAGE_REPOS).map(repo =>
+        client.get(`/repos/${repo.full_name}/languages`).then(({ data }) => data).catch(() => ({}))));
+
+    const bytes = {};
+    lists.forEach(list => Object.keys(list).forEach(name => {
+        bytes[name] = (bytes[name] || 0) + list[name];
+    }));
+
+    const total = Object.values(bytes).reduce((sum, count) => sum + count, 0);
+    const languages = Object.keys(bytes)
+        .map(name => ({ name, bytes: bytes[name] }))
+        .sort((a, b) => b.bytes - a.bytes);
+
+    if(languages.length > TOP_LANGUAGES) {
+        const other = languages.splice(TOP_LANGUAGES - 1);
+        languages.push({ name: 'Other', bytes: other.reduce((sum, language) => sum + language.bytes, 0) });
+    }
+
+    return languages.map(language => ({
+        ...language,
+        percent: total ? Math.round(language.bytes / total * 1000) / 10 : 0
+    }));
+};
+
+const capitalize = word => word ? word[0].toUpperCase() + word.slice(1) : '';
+
+const plural = (count, word) => `${count} ${word}${count == 1 ? '' : 's'}`;
+
+// Describes the events worth showing, null for the rest
+const describeEvent = ({ type, payload }) => {
+    switch(type) {
+        case 'PushEvent':
+            return `Pushed ${plural(payload.size || (payload.commits || []).length, 'commit')}`;
+        case 'PullRequestEvent':
+            return `${payload.action == 'closed' && payload.pull_request.merged ? 'Merged' : capitalize(payload.action)} pull request #${payload.number}`;
+        case 'IssuesEvent':
+            return `${capitalize(payload.action)} issue #${payload.issue.number}`;
+        case 'PullRequestReviewEvent':
+            return `Reviewed pull request #${payload.pull_request.number}`;
+        case 'CreateEvent':
+            return payload.ref_type == 'repository' ? 'Created repository' : null;
+        case 'ReleaseEvent':
+            return `Released ${payload.release.tag_name}`;
+        case 'ForkEvent':
+            return 'Forked';
+        default:
+            return null;
+    }
+};
+
+const summarizeActivity = events => {
+    const since = new Date(Date.now() - ACTIVITY_DAYS * DAY);
+    const activity = { since, commits: 0, pullRequests: 0, issues: 0, reviews: 0, reposCreated: 0, recent: [] };
+
+    events.filter(event => new Date(event.created_at) >= since).forEach(event => {
+        const { type, payload } = event;
+        if(type == 'PushEvent') activity.commits += payload.size || (payload.commits || []).length;
+        if(type == 'PullRequestEvent' && payload.action == 'opened') activity.pullRequests++;
+        if(type == 'IssuesEvent' && payload.action == 'opened') activity.issues++;
+        if(type == 'PullRequestReviewEvent') activity.reviews++;
+        if(type == 'CreateEvent' && payload.ref_type == 'repository') activity.reposCreated++;
+
+        const title = activity.recent.length < RECENT_EVENTS && describeEvent(event);
+        if(title) {
+            activity.recent.push({
+                type,
+                title,
+                repo: event.repo.name,
+                url: `https://github.com/${event.repo.name}`,
+                date: event.created_at
+            });
+        }
+    });
+
+    return activity;
+};
+
+// Aggregates a GitHub user's public data. Rejects like the GitHub client,
+// e.g. with a 404 status when there is no such user.
+const collectGithubSummary = async (username, client = github) => {
+    const { data: repos } = await client.get(`/users/${encodeURIComponent(username)}/repos`, {
+        per_page: 100,
+        type: 'owner',
+        sort: 'pushed'
+    });
+    const ownRepos = repos.filter(repo => !repo.fork);
+
+    const [languages, pinned, events] = await Promise.all([
+        languageBreakdown(ownRepos, client),
+        pinnedRepos(username, client),
+        client.get(`/users/${encodeURIComponent(username)}/events/public`, { per_page: 100 })
+            .then(({ data }) => data)
+            .catch(() => [])
+    ]);
+
+    return {
+        username,
+        languages,
+        topRepos: pinned.length > 0 ? pinned : mostStarred(ownRepos),
+        activity: summarizeActivity(events),
+        refreshedAt: new Date()
+    };
+};
+
+// Refreshes the stored summary of a profile. Unknown GitHub users get an empty
+// summary, so they wait for the next refresh, other failures keep the last
+// summary and are passed on.
+const refreshGithubSummary = async (profile, client = github) => {
+    if(!profile.githubusername) {
+        await Profile.updateOne({ _id: profile._id }, { $unset: { githubSummary: 1 } });
+        return null;
+    }
+
+    try {
+        const githubSummary = await collectGithubSummary(profile.githubusername, client);
+        await Profile.updateOne({ _id: profile._id }, { $set: { githubSummary } });
+        return githubSummary;
+    } catch (err) {
+        if(err.status != 404) throw err;
+
+        const githubSummary = { username: profile.githubusername, refreshedAt: new Date() };
+        await Profile.updateOne({ _id: profile._id }, { $set: { githubSummary } });
+        return githubSummary;
+    }
+};
+
+// Refreshes summaries that are missing, older than github.summaryMaxAgeHours or
+// for a changed username, oldest first, stopping before the rate limit runs out
+const refreshDueSummaries = async (client = github) => {
+    const cutoff = new Date(Date.now() - configOr('github.summaryMaxAgeHours', 24) * HOUR);
+    const profiles = await Profile.find({
+        githubusername: { $nin: [null, ''] },
+        deleting: { $ne: true },
+        $or: [
+            { 'githubSummary.refreshedAt': { $exists: false } },
+            { 'githubSummary.refreshedAt': { $lt: cutoff } },
+            { $expr: { $ne: ['$githubSummary.username', '$githubusername'] } }
+        ]
+    })
+        .select('githubusername')
+        .sort({ 'githubSummary.refreshedAt': 1 })
+        .limit(configOr('github.summaryBatchSize', 25));
+
+    for(const profile of profiles) {
+        const { remaining } = client.rateLimit();
+        if(remaining !== null && remaining < CALLS_PER_SUMMARY) break;
+
+        try {
+            await refreshGithubSummary(profile, client);
+        } catch (err) {
+            console.error(`Could not refresh GitHub summary of ${profile.githubusername}: ${err.message}`);
+        }
+    }
+};
+
+const startGithubSummaryJob = () => {
+    const run = () => refreshDueSummaries().catch(err => console.error(err.message));
+
+    run();
+    return setInterval(run, configOr('github.summaryIntervalHours', 1) * HOUR);
+};
+
+module.exports = { collectGithubSummary, refreshGithubSummary, refreshDueSummaries, startGithubSummaryJob };
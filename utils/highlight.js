@@ -0,0 +1,75 @@
+// Builds highlighted excerpts of post and comment text for search results.
+// Each excerpt holds the [start, end) offsets of every matched word so the
+// client can mark them up without the server returning any HTML.
+
+const escapeRegExp = require('./escapeRegExp');
+
+const SNIPPET_RADIUS = 60;
+const MAX_COMMENT_SNIPPETS = 3;
+
+// Words of a $text query, leaving out negated terms ("-word")
+const queryTerms = q => q
+    .replace(/(^|\s)-\S+/g, ' ')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}_]+/gu) || [];
+
+// Matches any word starting with one of the terms, so "deploy" marks "deployment"
+const termsRegExp = terms => new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+
+const findMatches = (text, regex) => {
+    const matches = [];
+    let match;
+
+    regex.lastIndex = 0;
+    while((match = regex.exec(text)) !== null) {
+        matches.push([match.index, match.index + match[0].length]);
+    }
+
+    return matches;
+};
+
+const snippet = (text, regex) => {
+    const matches = findMatches(text, regex);
+    if(matches.length === 0) return null;
+
+    const start = Math.max(0, matches[0][0] - SNIPPET_RADIUS);
+    const end = Math.min(text.length, matches[0][1] + SNIPPET_RADIUS);
+
+    return {
+        text: text.slice(start, end),
+        matches: matches
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start, to - start]),
+        truncatedStart: start > 0,
+        truncatedEnd: end < text.length
+    };
+};
+
+// Returns the excerpts of a post and its comments that match the query
+const highlight = (q, post) => {
+    const terms = queryTerms(q);
+    if(terms.length === 0) return [];
+
+    const regex = termsRegExp(terms);
+    const highlights = [];
+
+    const postSnippet = snippet(post.text, regex);
+    if(postSnippet) highlights.push({ comment: null, ...postSnippet });
+
+    let commentSnippets = 0;
+    for(const comment of post.comments) {
+        if(commentSnippets === MAX_COMMENT_SNIPPETS) break;
+        // Hidden comments don't show their text
+        if(comment.hidden) continue;
+
+        const commentSnippet = snippet(comment.text, regex);
+        if(commentSnippet) {
+            highlights.push({ comment: comment.id, ...commentSnippet });
+            commentSnippets++;
+        }
+    }
+
+    return highlights;
+};
+
+module.exports = highlight;
@@ -0,0 +1,91 @@
+const configOr = require('./configOr');
+
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MINUTE = 60 * 1000;
+
+// Failures within the window before backoff starts, for an IP and for an email
+const FREE_ATTEMPTS = { ip: 10, email: 3 };
+
+const settings = () => ({
+    window: configOr('login.windowMinutes', 15) * MINUTE,
+    maxDelay: configOr('login.maxDelayMinutes', 15) * MINUTE,
+    lockThreshold: configOr('login.lockThreshold', 10),
+    lockTime: configOr('login.lockMinutes', 30) * MINUTE
+});
+
+// Delay doubles with every failure past the free ones: 1s, 2s, 4s, ... up to maxDelay
+const backoff = (failures, free, maxDelay) =>
+    failures < free ? 0 : Math.min(1000 * Math.pow(2, failures - free), maxDelay);
+
+// Only wrong passwords and codes count. Attempts turned away while waiting are
+// audited too, counting those would keep extending the wait.
+const waitFor = async (query, free, { window, maxDelay }) => {
+    const failed = { ...query, reason: 'invalid-credentials' };
+    const since = new Date(Date.now() - window);
+    const failures = await LoginAttempt.countDocuments({ ...failed, date: { $gte: since } });
+    const delay = backoff(failures, free, maxDelay);
+    if(!delay) return 0;
+
+    const last = await LoginAttempt.findOne(failed).sort({ date: -1 });
+    return Math.max(0, last.date.getTime() + delay - Date.now());
+};
+
+// Resolves to the number of seconds the caller has to wait before trying to log in
+// again, from recent failures of both its IP and the email it tries, or 0
+const retryAfter = async ({ ip, email }) => {
+    const options = settings();
+    const wait = Math.max(
+        await waitFor({ ip }, FREE_ATTEMPTS.ip, options),
+        await waitFor({ email }, FREE_ATTEMPTS.email, options)
+    );
+
+    return Math.ceil(wait / 1000);
+};
+
+// Resolves to the number of seconds until logging in on an email is possible again,
+// or 0. Accounts lock after lockThreshold failed passwords in a row. Unknown emails
+// lock the same way, going by their failed attempts, so the wait doesn't tell
+// which emails have an account.
+const lockedFor = async ({ email, user }) => {
+    let lockUntil = user && user.lockUntil;
+
+    if(!user) {
+        const { lockThreshold, lockTime } = settings();
+        const failed = { email, reason: 'invalid-credentials' };
+        const failures = await LoginAttempt.countDocuments(failed);
+
+        if(failures > 0 && failures % lockThreshold == 0) {
+            const last = await LoginAttempt.findOne(failed).sort({ date: -1 });
+            lockUntil = new Date(last.date.getTime() + lockTime);
+        }
+    }
+
+    return lockUntil && lockUntil > Date.now() ? Math.ceil((lockUntil - Date.now()) / 1000) : 0;
+};
+
+// Audits a failed attempt and locks the account after too many failed passwords in a row
+const recordFailure = async ({ ip, email, userAgent, user, reason }) => {
+    await new LoginAttempt({ email, ip, userAgent, user: user && user.id, reason }).save();
+
+    if(user && reason === 'invalid-credentials') {
+        const { lockThreshold, lockTime } = settings();
+
+        user.failedLogins += 1;
+        if(user.failedLogins >= lockThreshold) {
+            user.failedLogins = 0;
+            user.lockUntil = new Date(Date.now() + lockTime);
+        }
+        await user.save();
+    }
+};
+
+const recordSuccess = async user => {
+    if(user.failedLogins || user.lockUntil) {
+        user.failedLogins = 0;
+        user.lockUntil = undefined;
+        await user.save();
+    }
+};
+
+module.exports = { retryAfter, lockedFor, recordFailure, recordSuccess };
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const configOr = require('./configOr');
+
+// A transport takes a message { from, to, subject, text } and resolves once it is sent.
+// "console" and "file" need no mail server, so they are used for development and tests.
+// Mails carry verification and reset links, which must not end up in production logs.
+const transports = {
+    console: async message => {
+        console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+    file: async message => {
+        const dir = configOr('mail.dir', 'mail');
+        const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+    },
+    smtp: message => {
+        const nodemailer = require('nodemailer');
+
+        return nodemailer.createTransport(configOr('mail.smtp', {})).sendMail(message);
+    }
+};
+
+let transport = null;
+
+// Replaces the configured transport, e.g. to collect sent messages
+const setTransport = send => {
+    transport = send;
+};
+
+// Without mail.transport, mails are only logged in development and tests
+const defaultTransport = () => ['development', 'test'].includes(process.env.NODE_ENV || 'development') ? 'console' : null;
+
+const sendMail = async ({ to, subject, text }) => {
+    const name = configOr('mail.transport', defaultTransport());
+    const send = transport || transports[name];
+
+    if(!send) {
+        throw new Error(name ? `Unknown mail transport ${name}` : 'No mail transport configured, set mail.transport');
+    }
+
+    return send({ from: configOr('mail.from', 'DevConnector <no-reply@devconnector.local>'), to, subject, text });
+};
+
+module.exports = { sendMail, setTransport };
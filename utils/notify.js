@@ -0,0 +1,20 @@
+const Notification = require('../models/Notification');
+const { emitToUser } = require('./socket');
+
+// Records a notification for user about something actor did and pushes it
+// to their open sessions. Failures are logged rather than thrown so they
+// never fail the request that caused them.
+const notify = async ({ user, actor, type, post }) => {
+    if(user.toString() == actor.toString()) return;
+
+    try {
+        const notification = await new Notification({ user, actor, type, post }).save();
+        await notification.populate('actor', ['name', 'avatar']).execPopulate();
+
+        emitToUser(user, 'notification', notification);
+    } catch (err) {
+        console.error(err.message);
+    }
+};
+
+module.exports = notify;
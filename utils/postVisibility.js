@@ -0,0 +1,73 @@
+const Profile = require('../models/Profile');
+
+// Who can see a post:
+//   public    - every user
+//   followers - the author and users following the author
+//   private   - only the author
+//   custom    - the author and the users listed in post.audience
+const VISIBILITIES = ['public', 'followers', 'private', 'custom'];
+
+// Posts saved before visibility existed only have the ispublic flag
+const visibilityOf = post => post.visibility || (post.ispublic === false ? 'private' : 'public');
+
+// Ids of the users that userId follows
+const followingOf = async userId => {
+    const profiles = await Profile.find({ 'followers.user': userId }).select('user');
+    return profiles.map(profile => profile.user);
+};
+
+const canView = async (post, userId) => {
+    if(post.user.toString() == userId) return true;
+    // Hidden after being reported, only the author sees it until reviewed,
+    // or because the author is deleting their account
+    if(post.hidden || post.deleting) return false;
+
+    switch(visibilityOf(post)) {
+        case 'public':
+            return true;
+        case 'followers':
+            return await Profile.exists({ user: post.user, 'followers.user': userId });
+        case 'custom':
+            return post.audience.some(member => member.toString() == userId);
+        default:
+            return false;
+    }
+};
+
+// Query conditions matching every post userId can see, limited to authors when given
+const visibleQuery = async (userId, authors) => {
+    const following = await followingOf(userId);
+    const followed = authors
+        ? following.filter(id => authors.some(author => author.toString() == id.toString()))
+        : following;
+
+    const shown = { hidden: { $ne: true }, deleting: { $ne: true } };
+    const conditions = [
+        { ispublic: true, ...shown },
+        { visibility: 'followers', user: { $in: followed }, ...shown },
+        { visibility: 'custom', audience: userId, ...shown }
+    ];
+    if(!authors) conditions.push({ user: userId });
+
+    return authors
+        ? { user: { $in: authors }, $or: conditions }
+        : { $or: conditions };
+};
+
+// Ids of the users allowed to see a post, or null when everyone can
+const audienceOf = async post => {
+    switch(visibilityOf(post)) {
+        case 'public':
+            return null;
+        case 'followers': {
+            const profile = await Profile.findOne({ user: post.user }).select('followers');
+            return [post.user, ...(profile ? profile.followers.map(follower => follower.user) : [])];
+        }
+        case 'custom':
+            return [post.user, ...post.audience];
+        default:
+            return [post.user];
+    }
+};
+
+module.exports = { VISIBILITIES, visibilityOf, followingOf, canView, visibleQuery, audienceOf };
@@ -0,0 +1,266 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const parseCsv = require('./csv');
+const { SOCIAL_NETWORKS } = require('./resume');
+
+// Profile fields an import can set, social links included as on the profile form
+const IMPORT_FIELDS = ['status', 'company', 'website', 'location', 'bio', 'githubusername', 'skills', ...Object.keys(SOCIAL_NETWORKS)];
+
+// Largest file, or file inside a zip, we are willing to read
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+const LINKEDIN_FILES = ['profile.csv', 'positions.csv', 'education.csv', 'skills.csv'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = n => String(n).padStart(2, '0');
+
+// Reads YYYY, YYYY-MM, YYYY-MM-DD and LinkedIn's "Mon YYYY" into a YYYY-MM-DD string
+const parseDate = value => {
+    value = (value || '').trim();
+    if(!value) return undefined;
+
+    let match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+    if(match) return `${match[1]}-${pad(match[2] || 1)}-${pad(match[3] || 1)}`;
+
+    match = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i);
+    if(match && MONTHS.includes(match[1].toLowerCase())) {
+        return `${match[2]}-${pad(MONTHS.indexOf(match[1].toLowerCase()) + 1)}-01`;
+    }
+
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date.toISOString().slice(0, 10);
+};
+
+// Résumé exports write "Developer at Acme" for the status and company
+const splitHeadline = headline => {
+    const match = (headline || '').match(/^(.+?)\s+at\s+(.+)$/);
+    return match ? { status: match[1], company: match[2] } : { status: headline || undefined };
+};
+
+const withDates = (entry, from, to) => {
+    entry.from = parseDate(from);
+    entry.to = parseDate(to);
+    entry.current = !entry.to;
+    return entry;
+};
+
+// Leaves out entries missing what the profile requires, noting why
+const keepComplete = (entries, required, describe, skipped) => entries.filter(entry => {
+    const missing = required.filter(field => !entry[field]);
+    if(missing.length > 0) skipped.push(`${describe(entry)}: missing ${missing.join(', ')}`);
+    return missing.length == 0;
+});
+
+const describeExperience = exp => `Experience "${exp.title || '?'}" at ${exp.company || '?'}`;
+const describeEducation = edu => `Education at ${edu.school || '?'}`;
+
+const finish = (source, profile, experience, education) => {
+    const skipped = [];
+    Object.keys(profile).forEach(key => {
+        if(!profile[key] || profile[key].length === 0) delete profile[key];
+    });
+
+    return {
+        source,
+        profile,
+        experience: keepComplete(experience, ['title', 'company', 'from'], describeExperience, skipped),
+        education: keepComplete(education, ['school', 'degree', 'fieldofstudy', 'from'], describeEducation, skipped),
+        skipped
+    };
+};
+
+const formatLocation = location => {
+    if(!location) return undefined;
+    if(typeof location == 'string') return location;
+    const parts = [location.city, location.region, location.countryCode].filter(part => part);
+    return parts.length > 0 ? parts.join(', ') : location.address;
+};
+
+// Maps a JSON Resume document, https://jsonresume.org/schema/, onto profile fields
+const fromJsonResume = resume => {
+    const basics = resume.basics || {};
+    const work = resume.work || [];
+    const currentJob = work.find(job => !job.endDate);
+    const profile = {
+        company: currentJob && (currentJob.name || currentJob.company),
+        ...splitHeadline(basics.label),
+        website: basics.url || basics.website,
+        location: formatLocation(basics.location),
+        bio: basics.summary,
+        skills: (resume.skills || []).map(skill => skill.name).filter(name => name)
+    };
+
+    (basics.profiles || []).forEach(({ network = '', username, url }) => {
+        const key = network.toLowerCase();
+        if(key == 'github') {
+            profile.githubusername = username || (url || '').replace(/\/+$/, '').split('/').pop();
+        } else if(SOCIAL_NETWORKS[key] && url) {
+            profile[key] = url;
+        }
+    });
+
+    const experience = work.map(job => withDates({
+        title: job.position,
+        company: job.name || job.company,
+        location: job.location,
+        description: [job.summary, ...(job.highlights || []).map(highlight => `- ${highlight}`)]
+            .filter(line => line)
+            .join('\n') || undefined
+    }, job.startDate, job.endDate));
+
+    const education = (resume.education || []).map(edu => withDates({
+        school: edu.institution,
+        degree: edu.studyType,
+        fieldofstudy: edu.area
+    }, edu.startDate, edu.endDate));
+
+    return finish('JSON Resume', profile, experience, education);
+};
+
+// LinkedIn wraps lists in brackets, e.g. "[PERSONAL:https://example.com]"
+const firstUrl = value => ((value || '').match(/https?:\/\/[^\]\s,]+/) || [])[0];
+const firstHandle = value => ((value || '').match(/[\w]+/) || [])[0];
+
+// Maps the CSV files of a LinkedIn data export, keyed by lower case file name
+const fromLinkedIn = files => {
+    const [info = {}] = files['profile.csv'] || [];
+    const twitter = firstHandle(info['Twitter Handles']);
+    const profile = {
+        ...splitHeadline(info['Headline']),
+        website: firstUrl(info['Websites']),
+        location: info['Geo Location'] || info['Address'],
+        bio: info['Summary'],
+        twitter: twitter && `https://twitter.com/${twitter}`,
+        skills: (files['skills.csv'] || []).map(skill => skill['Name']).filter(name => name)
+    };
+
+    const positions = files['positions.csv'] || [];
+    const currentJob = positions.find(position => !position['Finished On']);
+    if(currentJob && !profile.company) profile.company = currentJob['Company Name'];
+
+    const experience = positions.map(position => withDates({
+        title: position['Title'],
+        company: position['Company Name'],
+        location: position['Location'],
+        description: position['Description']
+    }, position['Started On'], position['Finished On']));
+
+    // Degree names read like "Bachelor of Science - BS, Computer Science"
+    const education = (files['education.csv'] || []).map(edu => {
+        const [degree, ...field] = (edu['Degree Name'] || '').split(',');
+        return withDates({
+            school: edu['School Name'],
+            degree: degree.trim(),
+            fieldofstudy: field.join(',').trim(),
+            description: edu['Notes']
+        }, edu['Start Date'], edu['End Date']);
+    });
+
+    return finish('LinkedIn export', profile, experience, education);
+};
+
+// Works out which LinkedIn file a lone CSV is from its header row
+const linkedInFileName = records => {
+    const [first] = records;
+    if(!first) return null;
+    if('Company Name' in first) return 'positions.csv';
+    if('School Name' in first) return 'education.csv';
+    if('Headline' in first) return 'profile.csv';
+    if('Name' in first) return 'skills.csv';
+    return null;
+};
+
+const readZip = buffer => {
+    const files = {};
+    new AdmZip(buffer).getEntries().forEach(entry => {
+        const name = path.basename(entry.entryName).toLowerCase();
+        if(!entry.isDirectory && LINKEDIN_FILES.includes(name) && entry.header.size <= IMPORT_MAX_BYTES) {
+            files[name] = parseCsv(entry.getData().toString('utf8'));
+        }
+    });
+    return files;
+};
+
+// Maps an uploaded JSON Resume, LinkedIn CSV or LinkedIn export zip onto
+// profile fields, experience and education. Returns null if the file is
+// none of those.
+const parseImportFile = (buffer, filename = '') => {
+    const extension = path.extname(filename).toLowerCase();
+
+    try {
+        if(extension == '.zip' || buffer.slice(0, 2).toString() == 'PK') {
+            const files = readZip(buffer);
+            return Object.keys(files).length > 0 ? fromLinkedIn(files) : null;
+        }
+
+        const text = buffer.toString('utf8');
+        if(extension == '.json' || /^\s*\{/.test(text)) {
+            const resume = JSON.parse(text);
+            return resume && (resume.basics || resume.work || resume.education) ? fromJsonResume(resume) : null;
+        }
+
+        const records = parseCsv(text);
+        const name = linkedInFileName(records);
+        return name ? fromLinkedIn({ [name]: records }) : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+const normalize = value => String(value || '').trim().toLowerCase();
+const sameDay = (a, b) => Boolean(a && b) && new Date(a).toISOString().slice(0, 10) == new Date(b).toISOString().slice(0, 10);
+
+// Entries already on the profile are matched loosely so re-importing adds nothing
+const isSameExperience = (a, b) => normalize(a.title) == normalize(b.title)
+    && normalize(a.company) == normalize(b.company)
+    && sameDay(a.from, b.from);
+
+const isSameEducation = (a, b) => normalize(a.school) == normalize(b.school)
+    && normalize(a.degree) == normalize(b.degree)
+    && sameDay(a.from, b.from);
+
+const fieldValue = (profile, field) => {
+    if(!profile) return undefined;
+    if(SOCIAL_NETWORKS[field]) return profile.social && profile.social[field];
+    return profile[field];
+};
+
+const displayValue = value => Array.isArray(value) ? value.join(', ') : value || '';
+
+// Compares imported data against the current profile, which may not exist yet
+const buildImportPreview = (profile, imported) => {
+    const experience = profile ? profile.experience : [];
+    const education = profile ? profile.education : [];
+
+    return {
+        source: imported.source,
+        fields: IMPORT_FIELDS
+            .filter(field => imported.profile[field] !== undefined)
+            .map(field => ({
+                field,
+                current: displayValue(fieldValue(profile, field)),
+                imported: displayValue(imported.profile[field]),
+                value: imported.profile[field]
+            }))
+            .filter(({ current, imported }) => current != imported),
+        experience: imported.experience.map(exp => ({
+            ...exp,
+            duplicate: experience.some(existing => isSameExperience(existing, exp))
+        })),
+        education: imported.education.map(edu => ({
+            ...edu,
+            duplicate: education.some(existing => isSameEducation(existing, edu))
+        })),
+        skipped: imported.skipped
+    };
+};
+
+module.exports = {
+    IMPORT_FIELDS,
+    IMPORT_MAX_BYTES,
+    parseImportFile,
+    buildImportPreview,
+    isSameExperience,
+    isSameEducation
+};
@@ -0,0 +1,43 @@
+const dns = require('dns');
+const net = require('net');
+
+// Unspecified, private, loopback, link-local, carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_IPV4 = /^(0|10|127|169\.254|172\.(1[6-9]|2\d|3[01])|192\.168|100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])|22[4-9]|2[3-5]\d)\./;
+const PRIVATE_IPV6 = /^(::1?$|f[cd]|fe[89ab]|ff)/i;
+
+// IPv4 addresses mapped into IPv6, as ::ffff:127.0.0.1 or as URLs write them, ::ffff:7f00:1
+const MAPPED_IPV4 = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([\da-f]{1,4}):([\da-f]{1,4}))$/i;
+
+const isPrivateAddress = address => {
+    const mapped = address.match(MAPPED_IPV4);
+    if(mapped) {
+        const high = parseInt(mapped[2], 16);
+        const low = parseInt(mapped[3], 16);
+        return isPrivateAddress(mapped[1] || [high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+
+    if(net.isIPv4(address)) return PRIVATE_IPV4.test(address);
+    if(net.isIPv6(address)) return PRIVATE_IPV6.test(address);
+    return false;
+};
+
+// Stands in for dns.lookup when connecting to hosts taken from user input. Checking
+// the hostname is not enough, a public name can resolve to an internal address.
+const publicLookup = (hostname, options, callback) => {
+    if(typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if(err) return callback(err);
+
+        if(addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDRESS' }));
+        }
+        if(options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = { isPrivateAddress, publicLookup };
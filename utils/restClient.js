@@ -0,0 +1,121 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+const restError = (message, status, extra = {}) => Object.assign(new Error(message), { status }, extra);
+
+// Creates a JSON REST client that caches responses by url, revalidates them
+// with ETags, stops calling while the rate limit is used up and serves cached
+// data when the API fails. Responses resolve to { data, stale }, stale being
+// set for fallback data. Failures without cached data reject with an error
+// carrying an http status: 404 for unknown resources, 429 with resetAt when
+// rate limited, 502 otherwise.
+const createRestClient = ({
+    name = 'API',
+    baseUrl,
+    headers = {},
+    timeout = 5000,
+    // Cached responses are served without revalidating for this long
+    freshSeconds = 60,
+    maxCacheEntries = 500,
+    // For hosts taken from user input: how many redirects to follow, and a
+    // replacement for dns.lookup that checks the addresses connected to
+    maxRedirects,
+    lookup
+}) => {
+    const client = axios.create({
+        baseURL: baseUrl.replace(/\/+$/, ''),
+        timeout,
+        headers: { 'User-Agent': 'devconnector', ...headers },
+        // Every status is handled below rather than thrown
+        validateStatus: () => true,
+        ...(maxRedirects !== undefined && { maxRedirects }),
+        ...(lookup && { httpAgent: new http.Agent({ lookup }), httpsAgent: new https.Agent({ lookup }) })
+    });
+
+    // Map keeps insertion order, so the first key is the least recently used
+    const cache = new Map();
+    const rateLimit = { remaining: null, resetAt: null };
+
+    const remember = (key, entry) => {
+        cache.delete(key);
+        cache.set(key, entry);
+        while(cache.size > maxCacheEntries) cache.delete(cache.keys().next().value);
+    };
+
+    // GitHub sends X-RateLimit-*, GitLab RateLimit-*, both with a reset in epoch seconds
+    const trackRateLimit = responseHeaders => {
+        const remaining = responseHeaders['x-ratelimit-remaining'] || responseHeaders['ratelimit-remaining'];
+        const reset = responseHeaders['x-ratelimit-reset'] || responseHeaders['ratelimit-reset'];
+        if(remaining !== undefined) rateLimit.remaining = parseInt(remaining, 10);
+        if(reset !== undefined) rateLimit.resetAt = new Date(parseInt(reset, 10) * 1000);
+    };
+
+    const isRateLimited = () => rateLimit.remaining === 0 && rateLimit.resetAt > new Date();
+
+    // Falls back to cached data, or fails with the given error
+    const fallback = (cached, error) => {
+        if(cached) return { data: cached.data, stale: true };
+        throw error;
+    };
+
+    const get = async (path, params = {}) => {
+        const key = `${path}?${new URLSearchParams(params).toString()}`;
+        const cached = cache.get(key);
+
+        if(cached && Date.now() - cached.fetchedAt < freshSeconds * 1000) {
+            return { data: cached.data, stale: false };
+        }
+
+        const rateLimited = () => restError(`${name} rate limit exceeded`, 429, { resetAt: rateLimit.resetAt });
+        if(isRateLimited()) return fallback(cached, rateLimited());
+
+        let response;
+        try {
+            response = await client.get(path, {
+                params,
+                headers: cached && cached.etag ? { 'If-None-Match': cached.etag } : {}
+            });
+        } catch (err) {
+            console.error(`${name} request failed: ${err.message}`);
+            return fallback(cached, restError(`${name} is unavailable`, 502));
+        }
+
+        trackRateLimit(response.headers);
+
+        if(response.status == 304 && cached) {
+            remember(key, { ...cached, fetchedAt: Date.now() });
+            return { data: cached.data, stale: false };
+        }
+        if(response.status == 200) {
+            remember(key, { data: response.data, etag: response.headers.etag, fetchedAt: Date.now() });
+            return { data: response.data, stale: false };
+        }
+        if(response.status == 404) {
+            cache.delete(key);
+            throw restError(`Not found on ${name}`, 404);
+        }
+        if((response.status == 403 || response.status == 429) && (isRateLimited() || response.headers['retry-after'])) {
+            if(response.headers['retry-after']) {
+                rateLimit.remaining = 0;
+                rateLimit.resetAt = new Date(Date.now() + parseInt(response.headers['retry-after'], 10) * 1000);
+            }
+            return fallback(cached, rateLimited());
+        }
+
+        console.error(`${name} responded ${response.status} for ${path}`);
+        return fallback(cached, restError(`${name} is unavailable`, 502));
+    };
+
+    return {
+        get,
+        // Uncached, for calls such as GraphQL queries that are not plain reads
+        post: (url, data) => client.post(url, data),
+        isRateLimited,
+        // Copy of what the API last said about the rate limit
+        rateLimit: () => ({ ...rateLimit }),
+        clearCache: () => cache.clear()
+    };
+};
+
+module.exports = createRestClient;
@@ -0,0 +1,120 @@
+const PDFDocument = require('pdfkit');
+
+const SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const SOCIAL_NETWORKS = {
+    twitter: 'Twitter',
+    facebook: 'Facebook',
+    linkedin: 'LinkedIn',
+    youtube: 'YouTube',
+    instagram: 'Instagram',
+    devpost: 'Devpost'
+};
+
+// JSON Resume dates are YYYY-MM-DD
+const isoDay = date => date ? new Date(date).toISOString().slice(0, 10) : undefined;
+
+// Gravatar urls come without a protocol
+const absoluteUrl = url => url && url.startsWith('//') ? `https:${url}` : url;
+
+// Maps a profile, with its user populated, to the JSON Resume schema
+const toJsonResume = profile => {
+    const social = profile.social || {};
+    const profiles = Object.keys(SOCIAL_NETWORKS)
+        .filter(key => social[key])
+        .map(key => ({ network: SOCIAL_NETWORKS[key], url: social[key] }));
+
+    if(profile.githubusername) {
+        profiles.unshift({
+            network: 'GitHub',
+            username: profile.githubusername,
+            url: `https://github.com/${profile.githubusername}`
+        });
+    }
+
+    return {
+        $schema: SCHEMA,
+        basics: {
+            name: profile.user.name,
+            label: profile.company ? `${profile.status} at ${profile.company}` : profile.status,
+            image: absoluteUrl(profile.user.avatar),
+            url: profile.website,
+            summary: profile.bio,
+            location: profile.location ? { address: profile.location } : undefined,
+            profiles
+        },
+        work: profile.experience.map(exp => ({
+            name: exp.company,
+            position: exp.title,
+            location: exp.location,
+            startDate: isoDay(exp.from),
+            endDate: exp.current ? undefined : isoDay(exp.to),
+            summary: exp.description
+        })),
+        education: profile.education.map(edu => ({
+            institution: edu.school,
+            area: edu.fieldofstudy,
+            studyType: edu.degree,
+            startDate: isoDay(edu.from),
+            endDate: edu.current ? undefined : isoDay(edu.to)
+        })),
+        skills: profile.skills.map(name => ({ name })),
+        meta: {
+            lastModified: new Date().toISOString()
+        }
+    };
+};
+
+const period = ({ startDate, endDate }) => `${startDate || ''} - ${endDate || 'Present'}`;
+
+// Writes a one column PDF of a JSON Resume to a stream, e.g. a response
+const renderResumePdf = (resume, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${resume.basics.name} - Résumé` } });
+    doc.pipe(stream);
+
+    const heading = text => doc.moveDown().font('Helvetica-Bold').fontSize(14).fillColor('#17a2b8').text(text).moveDown(0.3);
+    const body = () => doc.font('Helvetica').fontSize(10).fillColor('#333');
+    const { basics, work, education, skills } = resume;
+
+    doc.font('Helvetica-Bold').fontSize(24).fillColor('#333').text(basics.name);
+    doc.font('Helvetica').fontSize(13).fillColor('#666').text(basics.label);
+
+    body();
+    const contact = [basics.location && basics.location.address, basics.url].filter(Boolean);
+    if(contact.length > 0) doc.text(contact.join('  |  '));
+    basics.profiles.forEach(profile => doc.text(`${profile.network}: ${profile.url}`));
+
+    if(basics.summary) {
+        heading('About');
+        body().text(basics.summary);
+    }
+
+    if(skills.length > 0) {
+        heading('Skills');
+        body().text(skills.map(skill => skill.name).join(', '));
+    }
+
+    if(work.length > 0) {
+        heading('Experience');
+        work.forEach(job => {
+            doc.font('Helvetica-Bold').fontSize(11).fillColor('#333').text(`${job.position}, ${job.name}`);
+            body().fillColor('#666').text([period(job), job.location].filter(Boolean).join('  |  '));
+            if(job.summary) body().text(job.summary);
+            doc.moveDown(0.5);
+        });
+    }
+
+    if(education.length > 0) {
+        heading('Education');
+        education.forEach(edu => {
+            doc.font('Helvetica-Bold').fontSize(11).fillColor('#333').text(`${edu.studyType} in ${edu.area}`);
+            body().text(edu.institution);
+            body().fillColor('#666').text(period(edu));
+            doc.moveDown(0.5);
+        });
+    }
+
+    doc.end();
+};
+
+module.exports = { SOCIAL_NETWORKS, toJsonResume, renderResumePdf };
@@ -0,0 +1,15 @@
+const User = require('../models/User');
+
+// Ordered from least to most privileged, each role may do what the ones before it may
+const ROLES = ['user', 'moderator', 'admin'];
+
+const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Looks up the current role, which is not part of the access token so changes apply at once.
+// Suspended users keep their role but may not use it.
+const userHasRole = async (userId, role) => {
+    const user = await User.findById(userId).select('role suspended');
+    return !!user && !user.suspended && hasRole(user, role);
+};
+
+module.exports = { ROLES, hasRole, userHasRole };
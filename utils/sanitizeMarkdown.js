@@ -0,0 +1,39 @@
+// Strips raw HTML from Markdown post and comment text. Fenced code blocks and
+// inline code are left untouched so snippets like `a < b` or `<div>` survive;
+// the client renders those as text, never as markup.
+
+// Fenced blocks (``` or ~~~) and inline code spans
+const CODE = /(^|\n)(```|~~~)[^\n]*\n[\s\S]*?(\n\2[^\n]*(?=\n|$)|$)|(`+)[^`\n][\s\S]*?\4/g;
+
+// Elements whose content is dangerous even with the tags removed
+const DANGEROUS_BLOCKS = /<(script|style|iframe|object|embed|template)\b[\s\S]*?(<\/\1\s*>|$)/gi;
+const COMMENTS = /<!--[\s\S]*?(-->|$)/g;
+// Only complete tags, so a lone < as in a<b stays text
+const TAGS = /<\/?[a-z][^<>]*>/gi;
+
+// Markdown links and images pointing at script URLs
+const SCRIPT_LINKS = /(\]\(\s*<?)\s*(javascript|vbscript|data):(\([^)\s]*\)|[^()\s>])*/gi;
+
+const stripHtml = text => text
+    .replace(DANGEROUS_BLOCKS, '')
+    .replace(COMMENTS, '')
+    .replace(TAGS, '')
+    .replace(SCRIPT_LINKS, '$1#');
+
+const sanitizeMarkdown = text => {
+    if(typeof text !== 'string') return text;
+
+    let result = '';
+    let last = 0;
+    let match;
+
+    CODE.lastIndex = 0;
+    while((match = CODE.exec(text)) !== null) {
+        result += stripHtml(text.slice(last, match.index)) + match[0];
+        last = match.index + match[0].length;
+    }
+
+    return (result + stripHtml(text.slice(last))).trim();
+};
+
+module.exports = sanitizeMarkdown;
@@ -0,0 +1,50 @@
+const socketio = require('socket.io');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+
+let io = null;
+
+// Attaches Socket.IO to the HTTP server, accepting the same JWT as the x-auth-token header
+const initSocket = server => {
+    io = socketio(server);
+
+    io.use((socket, next) => {
+        const { token } = socket.handshake.query;
+
+        if(!token) {
+            return next(new Error('No token, authorization denied'));
+        }
+
+        try {
+            const decoded = jwt.verify(token, config.get('jwtSecret'));
+
+            if(!decoded.user) {
+                return next(new Error('Token is not valid'));
+            }
+
+            socket.user = decoded.user;
+            next();
+        } catch(err) {
+            next(new Error('Token is not valid'));
+        }
+    });
+
+    io.on('connection', socket => {
+        // Lets routes address every connection of a single user
+        socket.join(`user:${socket.user.id}`);
+    });
+
+    return io;
+};
+
+// Sends an event to every connected user
+const broadcast = (event, payload) => {
+    if(io) io.emit(event, payload);
+};
+
+// Sends an event to every connection of a single user
+const emitToUser = (userId, event, payload) => {
+    if(io) io.to(`user:${userId}`).emit(event, payload);
+};
+
+module.exports = { initSocket, broadcast, emitToUser };
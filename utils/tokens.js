@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const configOr = require('./configOr');
+
+const RefreshToken = require('../models/RefreshToken');
+
+const REFRESH_TOKEN_DAYS_DEFAULT = 30;
+const REFRESH_TOKEN_GRACE_SECONDS_DEFAULT = 30;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Signs a short-lived access token, sent by the client as x-auth-token
+const signAccessToken = userId => new Promise((resolve, reject) => {
+    const payload = {
+        user: {
+            id: userId
+        }
+    };
+
+    jwt.sign(
+        payload,
+        config.get('jwtSecret'),
+        { expiresIn: configOr('accessTokenTimeout', '15m') },
+        (err, token) => err ? reject(err) : resolve(token)
+    );
+});
+
+const createRefreshToken = async (userId, userAgent) => {
+    const token = crypto.randomBytes(48).toString('hex');
+    const days = configOr('refreshTokenDays', REFRESH_TOKEN_DAYS_DEFAULT);
+
+    await new RefreshToken({
+        user: userId,
+        tokenHash: hashToken(token),
+        expires: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        userAgent
+    }).save();
+
+    return token;
+};
+
+// Starts a new session for a user, returning the response body for login and register
+const issueTokens = async (userId, userAgent) => ({
+    token: await signAccessToken(userId),
+    refreshToken: await createRefreshToken(userId, userAgent)
+});
+
+const revokeAllRefreshTokens = userId => RefreshToken.updateMany(
+    { user: userId, revoked: null },
+    { $set: { revoked: Date.now() } }
+);
+
+// Exchanges a refresh token for a new access and refresh token, revoking the old one.
+// Resolves to null when the token is unknown, expired or revoked. A revoked token
+// being presented again means it was stolen, so every session of its user ends.
+// Tabs sharing a token refresh at the same time though, so a token rotated less
+// than refreshTokenGraceSeconds ago is exchanged once more instead, as long as
+// the session goes on: revoking every token of a user revokes its successor too.
+const rotateRefreshToken = async (token, userAgent) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+    if(!stored || stored.expires < Date.now()) return null;
+
+    if(stored.revoked) {
+        const graceSeconds = configOr('refreshTokenGraceSeconds', REFRESH_TOKEN_GRACE_SECONDS_DEFAULT);
+        const successor = stored.replacedBy && Date.now() - stored.revoked < graceSeconds * 1000
+            && await RefreshToken.findOne({ tokenHash: stored.replacedBy, revoked: null });
+
+        if(successor && successor.expires > Date.now()) {
+            return issueTokens(stored.user.toString(), userAgent);
+        }
+
+        await revokeAllRefreshTokens(stored.user);
+        return null;
+    }
+
+    const tokens = await issueTokens(stored.user.toString(), userAgent);
+
+    stored.revoked = Date.now();
+    stored.replacedBy = hashToken(tokens.refreshToken);
+    await stored.save();
+
+    return tokens;
+};
+
+const revokeRefreshToken = token => RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revoked: null },
+    { $set: { revoked: Date.now() } }
+);
+
+module.exports = { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllRefreshTokens };
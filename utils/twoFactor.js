@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+
+// Accept the previous and next code too, to allow for clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = 'DevConnector';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = code => crypto.createHash('sha256').update(code.toLowerCase().replace(/[^a-f0-9]/g, '')).digest('hex');
+
+// New secret with what an authenticator app needs to add it
+const createSecret = async user => {
+    const secret = authenticator.generateSecret();
+    const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+const checkCode = (code, secret) => !!code && !!secret && authenticator.check(String(code).replace(/\s/g, ''), secret);
+
+// One-time codes shown to the user once, only their hashes are stored
+const createRecoveryCodes = () => {
+    const codes = [...Array(RECOVERY_CODE_COUNT)].map(() => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashCode) };
+};
+
+// Removes a matching recovery code from the user, returning whether there was one.
+// The caller saves the user.
+const useRecoveryCode = (user, code) => {
+    const index = user.twoFactor.recoveryCodes.indexOf(hashCode(String(code)));
+    if(index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+};
+
+// Checks a TOTP code, or failing that a recovery code, for a user with 2FA enabled
+const checkSecondFactor = (user, { code, recoveryCode }) => recoveryCode
+    ? useRecoveryCode(user, recoveryCode)
+    : checkCode(code, user.twoFactor.secret);
+
+// Short-lived token proving the password was right, exchanged for the real ones
+// together with a code. It carries no `user` claim, so auth middleware rejects it.
+const signInterimToken = userId => jwt.sign(
+    { twoFactor: { id: userId } },
+    config.get('jwtSecret'),
+    { expiresIn: '5m' }
+);
+
+const userIdFromInterimToken = token => {
+    try {
+        const { twoFactor } = jwt.verify(token, config.get('jwtSecret'));
+        return twoFactor ? twoFactor.id : null;
+    } catch(err) {
+        return null;
+    }
+};
+
+module.exports = {
+    createSecret,
+    checkCode,
+    createRecoveryCodes,
+    checkSecondFactor,
+    signInterimToken,
+    userIdFromInterimToken
+};